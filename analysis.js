@@ -0,0 +1,178 @@
+// -------- Spectral analysis --------
+// Pure analysis helpers shared by the page and the pipeline worker. Nothing here reads page
+// state: callers pass the row mapping and amplitude settings in a `mapping` object:
+//   { rows, binCount, rowBinStart, rowBinEnd, rowCenterBin, amplitude }
+// where amplitude is { mode, minDb, maxDb, gamma, noiseFloor, analyserMinDb, analyserMaxDb }.
+// A spectrum first becomes one dB level per row; the amplitude settings then map levels to
+// surface heights, so captures keep their levels and can be re-mapped when those settings change.
+
+// The analyser reports |X|/N of a Blackman-windowed frame, so a full-scale sine peaks at
+// 20*log10(0.42 / 2) ≈ -13.6 dB. Adding the inverse of that puts dB mode on a dBFS scale
+// where a full-scale sine reads 0 dBFS.
+export const dbfsCalibrationOffset = 20 * Math.log10(2 / 0.42);
+export const silenceDb = -300; // stand-in for -Infinity so interpolation stays finite
+
+// Blackman window as specified for AnalyserNode
+export function blackmanWindow(size) {
+  const w = new Float32Array(size);
+  for (let n = 0; n < size; n++) {
+    const phase = (2 * Math.PI * n) / size;
+    w[n] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+  }
+  return w;
+}
+
+// In-place iterative radix-2 FFT; length must be a power of two
+export function fftInPlace(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += len) {
+      let curRe = 1;
+      let curIm = 0;
+      const half = len >> 1;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+// Classic mode: reproduce getByteFrequencyData's 0..255 scale, then a gentle curve
+function classicAmplitudeFromDb(db, amplitude) {
+  const range = amplitude.analyserMaxDb - amplitude.analyserMinDb;
+  const byte = Math.max(0, Math.min(255, Math.floor((255 / range) * (db - amplitude.analyserMinDb))));
+  let bin = byte / 255;
+  if (bin < amplitude.noiseFloor) bin = 0; // enforce zero floor everywhere during rebuilds
+  // Slight emphasis on mid-highs to echo the modem's chirps
+  return Math.pow(bin, 1.2);
+}
+
+// dB mode: linear in dBFS between minDb and maxDb, optionally bent by gamma
+function calibratedAmplitudeFromDb(db, amplitude) {
+  const unit = (db + dbfsCalibrationOffset - amplitude.minDb) / (amplitude.maxDb - amplitude.minDb);
+  return Math.pow(Math.max(0, Math.min(1, unit)), amplitude.gamma);
+}
+
+// Reduce a dB spectrum (AnalyserNode scale, one value per bin) to one dB level per row, written
+// into `out` when given so offline analysis can fill one packed buffer
+export function levelsFromDecibels(dbSpectrum, mapping, out = new Float32Array(mapping.rows)) {
+  const { rows, binCount, rowBinStart, rowBinEnd, rowCenterBin } = mapping;
+  for (let i = 0; i < rows; i++) {
+    let db;
+    if (rowBinEnd[i] - rowBinStart[i] > 1) {
+      // Row spans several bins: keep the strongest so narrow peaks survive downsampling
+      db = silenceDb;
+      for (let k = rowBinStart[i]; k < rowBinEnd[i]; k++) {
+        if (dbSpectrum[k] > db) db = dbSpectrum[k];
+      }
+    } else {
+      // Row narrower than a bin: interpolate between the neighbouring bins
+      const k0 = Math.floor(rowCenterBin[i]);
+      const k1 = Math.min(binCount - 1, k0 + 1);
+      const t = rowCenterBin[i] - k0;
+      const db0 = dbSpectrum[k0] > silenceDb ? dbSpectrum[k0] : silenceDb;
+      const db1 = dbSpectrum[k1] > silenceDb ? dbSpectrum[k1] : silenceDb;
+      db = db0 * (1 - t) + db1 * t;
+    }
+    out[i] = db;
+  }
+  return out;
+}
+
+// Map per-row dB levels to surface amplitudes (0..1) with the amplitude settings
+export function amplitudesFromLevels(levels, amplitude, out = new Float32Array(levels.length)) {
+  const amplitudeFromDb = amplitude.mode === 'db' ? calibratedAmplitudeFromDb : classicAmplitudeFromDb;
+  for (let i = 0; i < levels.length; i++) out[i] = amplitudeFromDb(levels[i], amplitude);
+  return out;
+}
+
+// Compute surface slices from raw samples, mirroring the AnalyserNode pipeline:
+// window -> FFT -> |X|/N -> temporal smoothing -> dB -> row levels -> amplitudes.
+// Slices and their levels come back packed row after row in Float32Arrays (count x mapping.rows).
+export function computeOfflineSlices(samples, sampleRate, { fftSize, smoothing, slicesPerSecond, mapping }) {
+  const binCount = fftSize / 2;
+  const hopSize = Math.max(1, Math.round(sampleRate / slicesPerSecond));
+  const window = blackmanWindow(fftSize);
+  const re = new Float32Array(fftSize);
+  const im = new Float32Array(fftSize);
+  const smoothed = new Float32Array(binCount);
+  const dbSpectrum = new Float32Array(binCount);
+  const count = Math.floor(samples.length / hopSize);
+  const slices = new Float32Array(count * mapping.rows);
+  const levels = new Float32Array(count * mapping.rows);
+  const times = new Float64Array(count);
+
+  // Each frame analyses the fftSize samples that end at the frame's timestamp
+  for (let frame = 0; frame < count; frame++) {
+    const end = (frame + 1) * hopSize;
+    const start = end - fftSize;
+    for (let n = 0; n < fftSize; n++) {
+      const s = start + n;
+      re[n] = s >= 0 ? samples[s] * window[n] : 0;
+      im[n] = 0;
+    }
+    fftInPlace(re, im);
+    for (let k = 0; k < binCount; k++) {
+      const magnitude = Math.hypot(re[k], im[k]) / fftSize;
+      smoothed[k] = smoothing * smoothed[k] + (1 - smoothing) * magnitude;
+      dbSpectrum[k] = 20 * Math.log10(smoothed[k]);
+    }
+    const from = frame * mapping.rows;
+    const to = from + mapping.rows;
+    const rowLevels = levelsFromDecibels(dbSpectrum, mapping, levels.subarray(from, to));
+    amplitudesFromLevels(rowLevels, mapping.amplitude, slices.subarray(from, to));
+    times[frame] = end / sampleRate;
+  }
+  return { slices, levels, times, count };
+}
+
+// Stereo layouts interleave two channels' slices (or levels) into one surface slice. `layout`
+// names the channel (-1 for the flat divider, which takes `fill`) and analysis row of each row.
+export function combineChannelSlice(channelSlices, layout, out = new Float32Array(layout.channel.length), fill = 0) {
+  const { channel, row } = layout;
+  for (let r = 0; r < channel.length; r++) {
+    out[r] = channel[r] < 0 ? fill : channelSlices[channel[r]][row[r]];
+  }
+  return out;
+}
+
+// Packed offline results of each channel (count x channelRows) -> packed surface slices and
+// levels; the divider's levels are silent
+export function combineOfflineChannels(results, channelRows, layout) {
+  const { count, times } = results[0];
+  const rows = layout.channel.length;
+  const combine = (key, fill) => {
+    const packed = new Float32Array(count * rows);
+    const channelSlices = results.map(() => null);
+    for (let i = 0; i < count; i++) {
+      results.forEach((result, c) => {
+        channelSlices[c] = result[key].subarray(i * channelRows, (i + 1) * channelRows);
+      });
+      combineChannelSlice(channelSlices, layout, packed.subarray(i * rows, (i + 1) * rows), fill);
+    }
+    return packed;
+  };
+  return { slices: combine('slices', 0), levels: combine('levels', silenceDb), times, count };
+}
@@ -0,0 +1,46 @@
+// -------- Camera paths --------
+// Pure keyframe helpers for the camera section of script.js. A pose is
+// { position: [x, y, z], target: [x, y, z] }; a keyframed path is a list of poses the camera
+// visits in order, spending `legSeconds` on each leg and shaping every leg with one easing.
+
+export const easings = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - (1 - t) ** 3,
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+function lerp3(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+export function interpolatePose(from, to, t) {
+  return { position: lerp3(from.position, to.position, t), target: lerp3(from.target, to.target, t) };
+}
+
+// Pose `seconds` into a keyframed path; the camera holds the last pose once the path is done,
+// or starts over from the first when `loop` is set
+export function samplePath(poses, seconds, { legSeconds, easing = 'easeInOut', loop = false }) {
+  if (poses.length === 0) return null;
+  if (poses.length === 1) return poses[0];
+  const legs = loop ? poses.length : poses.length - 1;
+  let t = Math.max(0, seconds) / legSeconds;
+  if (loop) t %= legs;
+  if (t >= legs) return poses[poses.length - 1];
+  const leg = Math.floor(t);
+  const ease = easings[easing] || easings.easeInOut;
+  return interpolatePose(poses[leg], poses[(leg + 1) % poses.length], ease(t - leg));
+}
+
+// Turn a pose's camera around the vertical axis through its target
+export function orbitPose(pose, angle) {
+  const [tx, ty, tz] = pose.target;
+  const dx = pose.position[0] - tx;
+  const dz = pose.position[2] - tz;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    position: [tx + dx * cos - dz * sin, pose.position[1], tz + dx * sin + dz * cos],
+    target: [tx, ty, tz],
+  };
+}
@@ -0,0 +1,95 @@
+// -------- Source comparison --------
+// Pure helpers for comparing the capture with a second source analysed with the same settings,
+// used by the comparison section of script.js and the worker's align job. A grid is
+// { slices, times, count, rows }: packed (count x rows) amplitudes plus each slice's time in
+// seconds, in capture order.
+
+// Fractional column of `seconds` in increasing `times`, or -1 outside them
+function columnAt(times, count, seconds) {
+  if (count === 0 || seconds < times[0] || seconds > times[count - 1]) return -1;
+  let lo = 0;
+  let hi = count - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= seconds) lo = mid; else hi = mid;
+  }
+  const span = times[hi] - times[lo];
+  return lo + (span > 0 ? (seconds - times[lo]) / span : 0);
+}
+
+// The other grid resampled at `times` (the capture's), played `offset` seconds later: each
+// column blends the two nearest slices, and times outside the other grid come out flat
+export function alignedSlices(other, times, offset) {
+  const { slices, times: otherTimes, count, rows } = other;
+  const out = new Float32Array(times.length * rows);
+  for (let i = 0; i < times.length; i++) {
+    const column = columnAt(otherTimes, count, times[i] - offset);
+    if (column < 0) continue;
+    const lo = Math.floor(column);
+    const hi = Math.min(count - 1, lo + 1);
+    const f = column - lo;
+    for (let z = 0; z < rows; z++) {
+      out[i * rows + z] = slices[lo * rows + z] * (1 - f) + slices[hi * rows + z] * f;
+    }
+  }
+  return out;
+}
+
+// Signed a - b of two equally packed grids, -1..1
+export function differenceSlices(a, b) {
+  const out = new Float32Array(a.length);
+  for (let i = 0; i < a.length; i++) out[i] = a[i] - b[i];
+  return out;
+}
+
+// Mean level of the grid sampled `rate` times per second from its first slice on
+function levelEnvelope({ slices, times, count, rows }, rate) {
+  const levels = new Float32Array(count);
+  for (let x = 0; x < count; x++) {
+    let sum = 0;
+    for (let z = 0; z < rows; z++) sum += slices[x * rows + z];
+    levels[x] = sum / rows;
+  }
+  const length = Math.max(1, Math.floor((times[count - 1] - times[0]) * rate) + 1);
+  const envelope = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    // The last sample may land a rounding error past the final slice
+    const column = columnAt(times, count, Math.min(times[count - 1], times[0] + i / rate));
+    const lo = Math.floor(column);
+    const hi = Math.min(count - 1, lo + 1);
+    envelope[i] = levels[lo] + (levels[hi] - levels[lo]) * (column - lo);
+  }
+  return envelope;
+}
+
+// Offset in seconds (for alignedSlices()) that best lines `other` up with `reference`: the lag
+// with the highest normalized cross-correlation of their level envelopes, within ±maxSeconds.
+// Lags that overlap less than a quarter of the shorter envelope are not considered.
+export function bestOffset(reference, other, { rate = 20, maxSeconds = 120 } = {}) {
+  if (reference.count < 2 || other.count < 2) return { offset: 0, score: 0 };
+  const a = levelEnvelope(reference, rate);
+  const b = levelEnvelope(other, rate);
+  const minOverlap = Math.max(2, Math.floor(Math.min(a.length, b.length) / 4));
+  const maxLag = Math.round(maxSeconds * rate);
+  let best = { lag: 0, score: -Infinity };
+  for (let lag = -Math.min(maxLag, b.length); lag <= Math.min(maxLag, a.length); lag++) {
+    // Envelope sample i of the reference meets sample i - lag of the other
+    const from = Math.max(0, lag);
+    const to = Math.min(a.length, b.length + lag);
+    const n = to - from;
+    if (n < minOverlap) continue;
+    let sa = 0; let sb = 0; let saa = 0; let sbb = 0; let sab = 0;
+    for (let i = from; i < to; i++) {
+      const x = a[i];
+      const y = b[i - lag];
+      sa += x; sb += y; saa += x * x; sbb += y * y; sab += x * y;
+    }
+    const cov = sab - (sa * sb) / n;
+    const norm = Math.sqrt((saa - (sa * sa) / n) * (sbb - (sb * sb) / n));
+    const score = norm > 0 ? cov / norm : 0;
+    if (score > best.score) best = { lag, score };
+  }
+  // Envelopes start at each grid's first slice, so their start times shift the result
+  const offset = best.lag / rate + reference.times[0] - other.times[0];
+  return { offset, score: Math.max(0, best.score) };
+}
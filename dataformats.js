@@ -0,0 +1,320 @@
+// -------- Data exports and imports --------
+// The raw numbers behind the model: captured amplitudes (0..1) as one row per time slice and
+// one column per frequency row. Every writer takes the same packed layout as the meshing jobs:
+// { slices (count x rows), count, rows, times (s per slice), frequencies (Hz per row) },
+// and the readers return it back (times only when the file carries them, else null).
+import { createTextChunkWriter, crc32, deflateRaw, yieldToBrowser } from './meshing.js';
+
+// CSV with a header of row frequencies in Hz, then the slice time and amplitudes per line.
+// Optional `labels` name each row's column instead, as the stereo layouts do.
+export async function buildCSV({ slices, count, rows, times, frequencies, labels }, { onProgress } = {}) {
+  const out = createTextChunkWriter(onProgress);
+  const header = ['time_s'];
+  for (let j = 0; j < rows; j++) header.push(labels ? labels[j] : frequencies[j].toFixed(2));
+  out.push(header.join(','));
+  const line = new Array(rows + 1);
+  for (let i = 0; i < count; i++) {
+    line[0] = times[i].toFixed(6);
+    for (let j = 0; j < rows; j++) line[j + 1] = slices[i * rows + j].toFixed(5);
+    out.push(line.join(','));
+    if (out.full) await out.flush(i / count);
+  }
+  return out.toBlob('text/csv');
+}
+
+// NumPy .npy (format 1.0): little-endian float32 array of shape (count, rows)
+export function buildNPY({ slices, count, rows }) {
+  let header = `{'descr': '<f4', 'fortran_order': False, 'shape': (${count}, ${rows}), }`;
+  // Magic, version and length take 10 bytes; pad so the data starts 64-byte aligned
+  const total = Math.ceil((10 + header.length + 1) / 64) * 64;
+  header = `${header.padEnd(total - 10 - 1, ' ')}\n`;
+  const preamble = new Uint8Array(10 + header.length);
+  preamble.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+  new DataView(preamble.buffer).setUint16(8, header.length, true);
+  for (let i = 0; i < header.length; i++) preamble[10 + i] = header.charCodeAt(i);
+  const data = slices.length === count * rows ? slices : slices.subarray(0, count * rows);
+  return new Blob([preamble, data], { type: 'application/octet-stream' });
+}
+
+// 16-bit grayscale PNG heightmap, one pixel per sample: time runs left to right and the
+// lowest frequency row is the top line, matching the model seen from above with its back edge up
+export async function buildHeightmapPNG({ slices, count, rows }, { onProgress } = {}) {
+  const stride = 1 + count * 2; // filter byte plus two big-endian bytes per pixel
+  const raw = new Uint8Array(stride * rows);
+  for (let j = 0; j < rows; j++) {
+    const line = j * stride;
+    raw[line] = 0; // no filter
+    for (let i = 0; i < count; i++) {
+      const value = Math.round(Math.max(0, Math.min(1, slices[i * rows + j])) * 65535);
+      raw[line + 1 + i * 2] = value >> 8;
+      raw[line + 2 + i * 2] = value & 0xff;
+    }
+    if (onProgress && j % 64 === 63) {
+      onProgress((j / rows) * 0.5);
+      await yieldToBrowser();
+    }
+  }
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, count);
+  view.setUint32(4, rows);
+  header[8] = 16; // bit depth
+  header[9] = 0; // grayscale
+  const idat = await zlibCompress(raw);
+  if (onProgress) onProgress(1);
+  return new Blob([
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', idat),
+    pngChunk('IEND', new Uint8Array(0)),
+  ], { type: 'image/png' });
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// zlib stream for IDAT: DEFLATE where the browser offers it, otherwise stored blocks
+async function zlibCompress(bytes) {
+  const deflated = await deflateRaw(bytes);
+  let body = deflated;
+  if (!body) {
+    const blocks = Math.max(1, Math.ceil(bytes.length / 65535));
+    body = new Uint8Array(bytes.length + blocks * 5);
+    for (let b = 0, o = 0; b < blocks; b++) {
+      const chunk = bytes.subarray(b * 65535, (b + 1) * 65535);
+      body[o] = b === blocks - 1 ? 1 : 0;
+      body[o + 1] = chunk.length & 0xff;
+      body[o + 2] = chunk.length >> 8;
+      body[o + 3] = ~chunk.length & 0xff;
+      body[o + 4] = (~chunk.length >> 8) & 0xff;
+      body.set(chunk, o + 5);
+      o += 5 + chunk.length;
+    }
+  }
+  const out = new Uint8Array(body.length + 6);
+  out[0] = 0x78;
+  out[1] = deflated ? 0x9c : 0x01;
+  out.set(body, 2);
+  new DataView(out.buffer).setUint32(2 + body.length, adler32(bytes));
+  return out;
+}
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// -------- Readers --------
+// Detect the format from the file's first bytes: PNG and NPY by their magic, anything else is
+// read as delimited text
+export async function parseDataFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return parsePNG(buffer);
+  if (bytes[0] === 0x93 && String.fromCharCode(...bytes.subarray(1, 6)) === 'NUMPY') return parseNPY(buffer);
+  return parseCSV(new TextDecoder().decode(bytes));
+}
+
+// Lines are time slices and columns frequency rows, as buildCSV writes them. A header line is
+// optional; when its first column is a time column, that column becomes the slice times.
+export function parseCSV(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+  if (!lines.length) throw new Error('The file has no data');
+  const delimiter = [',', ';', '\t'].find((d) => lines[0].includes(d));
+  const split = (line) => (delimiter ? line.split(delimiter) : line.split(/\s+/)).map((v) => v.trim());
+  let first = split(lines[0]);
+  const hasHeader = first.some((v) => v !== '' && !Number.isFinite(Number(v)));
+  const hasTime = hasHeader && /time/i.test(first[0]);
+  const body = hasHeader ? lines.slice(1) : lines;
+  if (!body.length) throw new Error('The file has no data');
+  first = split(body[0]);
+  const rows = first.length - (hasTime ? 1 : 0);
+  const count = body.length;
+  const values = new Float32Array(count * rows);
+  const times = hasTime ? new Float64Array(count) : null;
+  for (let i = 0; i < count; i++) {
+    const fields = split(body[i]);
+    const line = i + 1 + (hasHeader ? 1 : 0);
+    if (fields.length !== first.length) throw new Error(`Line ${line} has ${fields.length} values, expected ${first.length}`);
+    if (times) {
+      times[i] = Number(fields[0]);
+      if (!Number.isFinite(times[i])) throw new Error(`Line ${line} has the time "${fields[0]}", not a number`);
+      if (i > 0 && times[i] <= times[i - 1]) throw new Error(`Line ${line}: times must increase`);
+    }
+    for (let j = 0; j < rows; j++) {
+      const field = fields[j + (hasTime ? 1 : 0)];
+      const value = Number(field);
+      if (field === '' || !Number.isFinite(value)) throw new Error(`Line ${line} has "${field}", not a number`);
+      values[i * rows + j] = value;
+    }
+  }
+  return { slices: normalizeAmplitudes(values), count, rows, times };
+}
+
+const npyTypes = {
+  f4: [4, 'getFloat32'],
+  f8: [8, 'getFloat64'],
+  i1: [1, 'getInt8'],
+  u1: [1, 'getUint8'],
+  i2: [2, 'getInt16'],
+  u2: [2, 'getUint16'],
+  i4: [4, 'getInt32'],
+  u4: [4, 'getUint32'],
+};
+
+// 2D numeric .npy of shape (time slices, frequency rows), either byte order or memory order
+export function parseNPY(buffer) {
+  const view = new DataView(buffer);
+  const major = view.getUint8(6);
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = new TextDecoder().decode(new Uint8Array(buffer, headerStart, headerLength));
+  const descr = /'descr'\s*:\s*'([<>|=])([fiu])(\d)'/.exec(header);
+  const shape = /'shape'\s*:\s*\((\d+)\s*,\s*(\d+)\s*,?\s*\)/.exec(header);
+  if (!descr || !npyTypes[descr[2] + descr[3]]) throw new Error('Unsupported NPY data type');
+  if (!shape) throw new Error('NPY array must be two-dimensional');
+  const [size, getter] = npyTypes[descr[2] + descr[3]];
+  const littleEndian = descr[1] !== '>';
+  const fortran = /'fortran_order'\s*:\s*True/.test(header);
+  const count = Number(shape[1]);
+  const rows = Number(shape[2]);
+  const dataStart = headerStart + headerLength;
+  if (buffer.byteLength < dataStart + count * rows * size) throw new Error('NPY file is truncated');
+  const values = new Float32Array(count * rows);
+  for (let i = 0; i < count; i++) {
+    for (let j = 0; j < rows; j++) {
+      const element = fortran ? j * count + i : i * rows + j;
+      values[i * rows + j] = view[getter](dataStart + element * size, littleEndian);
+    }
+  }
+  return { slices: normalizeAmplitudes(values), count, rows, times: null };
+}
+
+// Grayscale heightmap laid out like buildHeightmapPNG: columns are time slices and the top line
+// is frequency row 0. Color images use their luminance. Non-interlaced 8 and 16-bit images only.
+export async function parsePNG(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const idat = [];
+  let header = null;
+  let palette = null;
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  const channels = header && { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!channels || header.interlace) throw new Error('Unsupported PNG layout');
+  const { width, height, bitDepth, colorType } = header;
+  if (bitDepth !== 8 && !(bitDepth === 16 && colorType !== 3)) throw new Error(`Unsupported PNG bit depth ${bitDepth}`);
+  if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot decompress PNG data');
+  const inflated = new Uint8Array(await new Response(
+    new Blob(idat).stream().pipeThrough(new DecompressionStream('deflate'))
+  ).arrayBuffer());
+
+  const bpp = channels * (bitDepth / 8);
+  const stride = width * bpp;
+  if (inflated.length < (stride + 1) * height) throw new Error('PNG data is truncated');
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = inflated[y * (stride + 1)];
+    const src = inflated.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const line = pixels.subarray(y * stride, (y + 1) * stride);
+    const prior = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? line[x - bpp] : 0;
+      const b = prior ? prior[x] : 0;
+      const c = prior && x >= bpp ? prior[x - bpp] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = a;
+      else if (filter === 2) predictor = b;
+      else if (filter === 3) predictor = (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        predictor = pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+      }
+      line[x] = (src[x] + predictor) & 0xff;
+    }
+  }
+
+  const max = bitDepth === 16 ? 65535 : 255;
+  const sample = (offset) => (bitDepth === 16 ? (pixels[offset] << 8) | pixels[offset + 1] : pixels[offset]) / max;
+  const luminance = (r, g, bl) => 0.2126 * r + 0.7152 * g + 0.0722 * bl;
+  const step = bitDepth / 8;
+  const slices = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = y * stride + x * bpp;
+      let value;
+      if (colorType === 3) {
+        const k = pixels[o] * 3;
+        value = palette ? luminance(palette[k], palette[k + 1], palette[k + 2]) / 255 : 0;
+      } else if (colorType === 2 || colorType === 6) {
+        value = luminance(sample(o), sample(o + step), sample(o + 2 * step));
+      } else {
+        value = sample(o);
+      }
+      slices[x * height + y] = value;
+    }
+  }
+  return { slices, count: width, rows: height, times: null };
+}
+
+// Values already in 0..1 are taken as amplitudes; anything else is stretched onto 0..1
+function normalizeAmplitudes(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (min >= 0 && max <= 1) return values;
+  const range = max - min;
+  for (let i = 0; i < values.length; i++) values[i] = range > 0 ? (values[i] - min) / range : 0;
+  return values;
+}
+
+// Linearly resample every slice to a new row count
+export function resampleRows({ slices, count, rows, times }, targetRows) {
+  const out = new Float32Array(count * targetRows);
+  for (let i = 0; i < count; i++) {
+    for (let j = 0; j < targetRows; j++) {
+      const t = targetRows > 1 ? (j / (targetRows - 1)) * (rows - 1) : 0;
+      const j0 = Math.floor(t);
+      const j1 = Math.min(rows - 1, j0 + 1);
+      const f = t - j0;
+      out[i * targetRows + j] = slices[i * rows + j0] * (1 - f) + slices[i * rows + j1] * f;
+    }
+  }
+  return { slices: out, count, rows: targetRows, times };
+}
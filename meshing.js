@@ -0,0 +1,853 @@
+// -------- Meshing and export writers --------
+// Pure geometry and file-format code shared by the page and the pipeline worker. Slices come
+// in packed (count x rows) Float32Arrays and colors are resolved through a `coloring` object
+// ({ ramp, colorBy, activeRows, rowFraction }) so nothing here depends on page state.
+
+export const SOLID_PART_SURFACE = 0;
+export const SOLID_PART_BASE = 1;
+
+export function sampleColorRamp(ramp, t) {
+  const v = Math.min(1, Math.max(0, t));
+  if (v <= ramp[0].s) {
+    const first = ramp[0].c;
+    return { r: first[0], g: first[1], b: first[2] };
+  }
+  // Find segment
+  for (let i = 0; i < ramp.length - 1; i++) {
+    const a = ramp[i];
+    const b = ramp[i + 1];
+    if (v >= a.s && v <= b.s) {
+      const t01 = b.s > a.s ? (v - a.s) / (b.s - a.s) : 0;
+      return {
+        r: a.c[0] + (b.c[0] - a.c[0]) * t01,
+        g: a.c[1] + (b.c[1] - a.c[1]) * t01,
+        b: a.c[2] + (b.c[2] - a.c[2]) * t01,
+      };
+    }
+  }
+  const last = ramp[ramp.length - 1].c;
+  return { r: last[0], g: last[1], b: last[2] };
+}
+
+// Color for one sample: by amplitude, or by (fractional) frequency row. Shared by the
+// live surface, the finalized geometry and every exporter so they always agree. Signed
+// 'difference' samples (-1..1) put zero in the middle of a diverging ramp.
+export function colorForSample(amp, row, coloring) {
+  if (coloring.colorBy === 'difference') return sampleColorRamp(coloring.ramp, 0.5 + amp / 2);
+  if (coloring.colorBy !== 'frequency') return sampleColorRamp(coloring.ramp, amp);
+  // Stereo layouts color each channel by its own frequency position (rowFraction); rows past
+  // the table, like the export's front boundary row, sit at the top of the band
+  const { rowFraction } = coloring;
+  const t = rowFraction
+    ? (row < rowFraction.length ? rowFraction[row] : 1)
+    : row / Math.max(1, coloring.activeRows - 1);
+  return sampleColorRamp(coloring.ramp, t);
+}
+
+// Heights and vertex colors for a plane grid of `count` columns, laid out row by row like
+// PlaneGeometry (one row per frequency)
+export function surfaceAttributes(slices, count, rows, yScale, coloring) {
+  const heights = new Float32Array(count * rows);
+  const colors = new Float32Array(count * rows * 3);
+  for (let z = 0; z < rows; z++) {
+    for (let x = 0; x < count; x++) {
+      const idx = z * count + x;
+      const amp = slices[x * rows + z];
+      heights[idx] = amp * yScale;
+      const color = colorForSample(amp, z, coloring);
+      colors[idx * 3 + 0] = color.r;
+      colors[idx * 3 + 1] = color.g;
+      colors[idx * 3 + 2] = color.b;
+    }
+  }
+  return { heights, colors };
+}
+
+// -------- Model shapes --------
+// Wrapped shapes bend the slab's time axis around the vertical axis: a column becomes an
+// angle, the frequency position v the height, and the relief h pushes outwards from the radius.
+// Cylinders and rings close into a loop of circumference `length` with the columns spread
+// evenly around it; the Archimedean spiral runs `length` along its arc over about `turns`
+// turns, `pitch` apart, starting no tighter than one pitch from the axis.
+const shapeClearance = 2; // mm of air between neighbouring turns of a printed spiral
+
+export function createShapeMapping(shape, { count, length, turns = 1, pitch = 0 }) {
+  if (shape === 'spiral') {
+    const k = pitch / (2 * Math.PI); // radius gained per radian
+    const sweep = 2 * Math.PI * turns;
+    // Arc length of r = r0 + k·θ up to θ is about r0·θ + k·θ²/2
+    const r0 = Math.max(pitch, (length - (k * sweep * sweep) / 2) / sweep);
+    const step = length / Math.max(1, count - 1);
+    const angleAt = (column) => (k > 0
+      ? (Math.sqrt(r0 * r0 + 2 * k * column * step) - r0) / k
+      : (column * step) / r0);
+    return wrappedShape(false, angleAt, (theta) => r0 + k * theta, count);
+  }
+  const radius = length / (2 * Math.PI);
+  return wrappedShape(true, (column) => (2 * Math.PI * column) / count, () => radius, count);
+}
+
+// The mapping of an exported solid of `count` columns, in millimetres
+export function printShapeMapping(print, count) {
+  return createShapeMapping(print.shape, {
+    count,
+    length: print.width,
+    turns: print.turns,
+    pitch: print.base + print.relief + shapeClearance,
+  });
+}
+
+function wrappedShape(closed, angleAt, radiusAt, count) {
+  return {
+    closed,
+    angleAt,
+    radiusAt,
+    maxRadius: radiusAt(angleAt(count - 1)),
+    // [x, y, z] of a point at fractional `column`, height v and relief h
+    place(column, v, h) {
+      const theta = angleAt(column);
+      const r = radiusAt(theta) + h;
+      return [r * Math.cos(theta), v, r * Math.sin(theta)];
+    },
+  };
+}
+
+export const titlePlateDepth = 14; // mm in front of the model
+const titlePlateCell = 0.25; // mm per raster cell of the title
+const titlePlateOverlap = 0.5; // mm the plate reaches under the model so slicers fuse them
+const markerStripFraction = 0.4; // share of the plate next to the model that carries markers
+const markerNotchWidth = 0.6; // mm
+
+// Title text and time markers as per-cell coverage (0..1) each, rows running from the model
+// outwards. Markers ({ at: 0..1 along the width, label }) are notches from the model's edge,
+// labelled beside them in a strip along the back of the plate; the title fills the rest. Uses
+// an OffscreenCanvas inside the worker; null when no 2D canvas is available at all.
+function rasterizePlate(text, markers, cols, rows) {
+  let canvas = null;
+  if (typeof OffscreenCanvas !== 'undefined') {
+    canvas = new OffscreenCanvas(cols, rows);
+  } else if (typeof document !== 'undefined') {
+    canvas = document.createElement('canvas');
+    canvas.width = cols;
+    canvas.height = rows;
+  }
+  const ctx = canvas && canvas.getContext && canvas.getContext('2d');
+  if (!ctx) return null;
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, cols, rows);
+  // The title goes in the red channel and the markers in the green one, so they never merge
+  ctx.globalCompositeOperation = 'lighter';
+  const strip = markers.length ? Math.round(rows * markerStripFraction) : 0;
+  if (text) {
+    const titleRows = rows - strip;
+    let fontSize = Math.floor(titleRows * 0.6);
+    ctx.font = `bold ${fontSize}px system-ui, sans-serif`;
+    // Shrink long titles to fit the plate with a margin
+    const measured = ctx.measureText(text).width;
+    if (measured > cols * 0.92) {
+      fontSize = Math.max(4, Math.floor((fontSize * cols * 0.92) / measured));
+      ctx.font = `bold ${fontSize}px system-ui, sans-serif`;
+    }
+    ctx.fillStyle = '#f00';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, cols / 2, strip + titleRows / 2);
+  }
+  if (strip) {
+    const notch = Math.max(2, Math.round(markerNotchWidth / titlePlateCell));
+    const gap = notch * 1.5;
+    ctx.fillStyle = '#0f0';
+    ctx.font = `bold ${Math.max(4, Math.floor(strip * 0.5))}px system-ui, sans-serif`;
+    ctx.textBaseline = 'middle';
+    for (const { at, label } of markers) {
+      const x = Math.round(at * (cols - 1));
+      ctx.fillRect(x - notch / 2, 0, notch, strip * 0.9);
+      // Labels sit right of their notch unless that would run off the plate
+      const right = x + gap + ctx.measureText(label).width <= cols;
+      ctx.textAlign = right ? 'left' : 'right';
+      ctx.fillText(label, right ? x + gap : x - gap, strip / 2);
+    }
+  }
+  const pixels = ctx.getImageData(0, 0, cols, rows).data;
+  const title = new Float32Array(cols * rows);
+  const marks = new Float32Array(cols * rows);
+  for (let i = 0; i < title.length; i++) {
+    title[i] = pixels[i * 4] / 255;
+    marks[i] = pixels[i * 4 + 1] / 255;
+  }
+  return { title, markers: marks };
+}
+
+// Build the watertight solid (top surface, base and walls) as an indexed triangle list in
+// millimetres. Triangles are already oriented outwards; each one carries a palette index for
+// its color so the OBJ, STL and 3MF writers all emit exactly the same geometry.
+// Options:
+//   slices, count, rows  packed slices of the exported time range
+//   activeRows, rowZ, zMax  scene Z per row; rows past the active band collapse onto zMax
+//   coloring  see colorForSample()
+//   print  { width, sz, relief, base, minFeature, maxDeviation, titlePlate, titleText } in mm,
+//     plus { markerPlate, markers } for time markers on the plate (see rasterizePlate()) and
+//     { shape, turns } for the wrapped shapes (see addWrappedSolid())
+export function buildSolid({ slices: packed, count: slices, rows: stride, activeRows, rowZ, zMax, coloring, print }) {
+  const activeRowsCount = activeRows;
+  // Z position of export row j; rows past the active band collapse onto the front edge
+  const exportRowZ = (j) => (j < activeRowsCount ? rowZ[j] : zMax);
+  // Use only the active frequency band plus one flat front boundary row, unless the band
+  // already reaches the front edge (a second row there would only add zero-area cells)
+  const bins = activeRowsCount + (exportRowZ(activeRowsCount - 1) < zMax ? 1 : 0);
+  const { sz, relief, base, minFeature } = print;
+  const markers = print.markerPlate && print.markerPlate !== 'none' ? print.markers || [] : [];
+  const exportWidth = print.width;
+  const dx = exportWidth / (slices - 1);
+  const x0 = -exportWidth / 2;
+
+  const positions = [];
+  const indices = [];
+  const faceColors = [];
+  const faceParts = []; // SOLID_PART_* per triangle
+  const vx = []; const vy = []; const vz = [];
+
+  // Color palette (quantized RGB -> palette index)
+  const palette = []; // { key, r, g, b } with 0..255 channels
+  const paletteIndex = new Map(); // key -> index into palette
+  function paletteIndexForColor(color) {
+    const ir = Math.round(Math.max(0, Math.min(1, color.r)) * 255);
+    const ig = Math.round(Math.max(0, Math.min(1, color.g)) * 255);
+    const ib = Math.round(Math.max(0, Math.min(1, color.b)) * 255);
+    const key = `${ir}_${ig}_${ib}`;
+    if (!paletteIndex.has(key)) {
+      paletteIndex.set(key, palette.length);
+      palette.push({ key, r: ir, g: ig, b: ib });
+    }
+    return paletteIndex.get(key);
+  }
+  const baseColor = { r: 0.7, g: 0.7, b: 0.7 };
+  const baseMat = paletteIndexForColor(baseColor);
+
+  function pushV(x, y, z) {
+    positions.push(x, y, z);
+    vx.push(x); vy.push(y); vz.push(z);
+    return vx.length - 1; // 0-based index
+  }
+
+  function emitFace(a, b, c, desired, colorIndex, part = desired === OUT_TOP ? SOLID_PART_SURFACE : SOLID_PART_BASE) {
+    // Orient triangle so its normal generally points along 'desired'
+    const abx = vx[b] - vx[a], aby = vy[b] - vy[a], abz = vz[b] - vz[a];
+    const acx = vx[c] - vx[a], acy = vy[c] - vy[a], acz = vz[c] - vz[a];
+    const nx = aby * acz - abz * acy;
+    const ny = abz * acx - abx * acz;
+    const nz = abx * acy - aby * acx;
+    const dot = nx * desired.x + ny * desired.y + nz * desired.z;
+    if (dot >= 0) {
+      indices.push(a, b, c);
+    } else {
+      indices.push(a, c, b);
+    }
+    faceColors.push(colorIndex);
+    // By default everything facing up belongs to the heightfield; the rest is base and walls
+    faceParts.push(part);
+  }
+
+  const OUT_TOP = { x: 0, y: 1, z: 0 };
+  const OUT_PLATE_TOP = { x: 0, y: 1, z: 0 }; // faces up too, but counts as part of the base
+  const OUT_BOTTOM = { x: 0, y: -1, z: 0 };
+
+  // Closed block under a heightfield grid (row-major, rows along Z). The top is simplified with
+  // an adaptive quadtree: a rectangle of cells becomes one leaf when every grid height inside it
+  // stays within the max deviation of the patch spanned by its corners. Leaves are fanned from
+  // their center through every leaf corner on their border, so neighbours of different sizes
+  // share edges exactly and no T-junctions appear. Walls follow the remaining border vertices
+  // down to a flat bottom fanned from its center.
+  function addHeightfieldSolid({ cols, rows, heights, xs, zs, top, faceColor, maxDeviation }) {
+    const tolerance = maxDeviation + 1e-6;
+    const at = (i, j) => heights[j * cols + i];
+
+    function withinTolerance(i0, j0, i1, j1) {
+      const h00 = at(i0, j0); const h10 = at(i1, j0);
+      const h01 = at(i0, j1); const h11 = at(i1, j1);
+      // Fan triangles are planar while the corner patch is bilinear; bound the gap by its twist
+      const twist = Math.abs(h00 - h10 - h01 + h11) / 4;
+      if (twist > tolerance) return false;
+      const spanX = xs[i1] - xs[i0];
+      const spanZ = zs[j1] - zs[j0];
+      for (let j = j0; j <= j1; j++) {
+        const v = (zs[j] - zs[j0]) / spanZ;
+        const left = h00 + (h01 - h00) * v;
+        const right = h10 + (h11 - h10) * v;
+        for (let i = i0; i <= i1; i++) {
+          const u = (xs[i] - xs[i0]) / spanX;
+          if (Math.abs(at(i, j) - (left + (right - left) * u)) + twist > tolerance) return false;
+        }
+      }
+      return true;
+    }
+
+    const leaves = []; // [i0, j0, i1, j1] in grid indices, corners inclusive
+    const used = new Uint8Array(cols * rows); // grid points that are corners of some leaf
+    const stack = [[0, 0, cols - 1, rows - 1]];
+    while (stack.length) {
+      const [i0, j0, i1, j1] = stack.pop();
+      const wide = i1 - i0 > 1;
+      const tall = j1 - j0 > 1;
+      if ((!wide && !tall) || withinTolerance(i0, j0, i1, j1)) {
+        leaves.push([i0, j0, i1, j1]);
+        used[j0 * cols + i0] = 1;
+        used[j0 * cols + i1] = 1;
+        used[j1 * cols + i0] = 1;
+        used[j1 * cols + i1] = 1;
+        continue;
+      }
+      const im = wide ? (i0 + i1) >> 1 : i1;
+      const jm = tall ? (j0 + j1) >> 1 : j1;
+      stack.push([i0, j0, im, jm]);
+      if (wide) stack.push([im, j0, i1, jm]);
+      if (tall) stack.push([i0, jm, im, j1]);
+      if (wide && tall) stack.push([im, jm, i1, j1]);
+    }
+
+    const vertexAt = new Int32Array(cols * rows).fill(-1);
+    function topVertex(i, j) {
+      const k = j * cols + i;
+      if (vertexAt[k] < 0) vertexAt[k] = pushV(xs[i], heights[k], zs[j]);
+      return vertexAt[k];
+    }
+    // Leaf corners around a rectangle, in order, starting at (i0, j0)
+    function borderPoints(i0, j0, i1, j1) {
+      const points = [];
+      for (let i = i0; i < i1; i++) if (used[j0 * cols + i]) points.push([i, j0]);
+      for (let j = j0; j < j1; j++) if (used[j * cols + i1]) points.push([i1, j]);
+      for (let i = i1; i > i0; i--) if (used[j1 * cols + i]) points.push([i, j1]);
+      for (let j = j1; j > j0; j--) if (used[j * cols + i0]) points.push([i0, j]);
+      return points;
+    }
+
+    for (const [i0, j0, i1, j1] of leaves) {
+      const points = borderPoints(i0, j0, i1, j1);
+      if (points.length === 4) {
+        const a = topVertex(i0, j0);
+        const b = topVertex(i1, j0);
+        const c = topVertex(i1, j1);
+        const d = topVertex(i0, j1);
+        emitFace(a, b, c, top, faceColor(vy[a], vy[b], vy[c], (2 * j0 + j1) / 3));
+        emitFace(a, c, d, top, faceColor(vy[a], vy[c], vy[d], (j0 + 2 * j1) / 3));
+        continue;
+      }
+      const centerY = (at(i0, j0) + at(i1, j0) + at(i0, j1) + at(i1, j1)) / 4;
+      const center = pushV((xs[i0] + xs[i1]) / 2, centerY, (zs[j0] + zs[j1]) / 2);
+      for (let n = 0; n < points.length; n++) {
+        const [ia, ja] = points[n];
+        const [ib, jb] = points[(n + 1) % points.length];
+        const a = topVertex(ia, ja);
+        const b = topVertex(ib, jb);
+        emitFace(center, a, b, top, faceColor(centerY, vy[a], vy[b], (j0 + j1 + 2 * ja + 2 * jb) / 6));
+      }
+    }
+
+    // Walls from every top border vertex straight down, closed by a fan across the bottom
+    const border = borderPoints(0, 0, cols - 1, rows - 1).map(([i, j]) => topVertex(i, j));
+    const bottom = border.map((v) => pushV(vx[v], -base, vz[v]));
+    const center = pushV((xs[0] + xs[cols - 1]) / 2, -base, (zs[0] + zs[rows - 1]) / 2);
+    for (let n = 0; n < border.length; n++) {
+      const m = (n + 1) % border.length;
+      const a = border[n];
+      const b = border[m];
+      // Outward direction from the block center through the edge midpoint
+      const out = {
+        x: (vx[a] + vx[b]) / 2 - vx[center],
+        y: 0,
+        z: (vz[a] + vz[b]) / 2 - vz[center],
+      };
+      emitFace(a, bottom[n], bottom[m], out, baseMat);
+      emitFace(a, bottom[m], b, out, baseMat);
+      emitFace(center, bottom[m], bottom[n], OUT_BOTTOM, baseMat);
+    }
+  }
+
+  // Spectrogram heights; relief below the minimum feature height is flattened to exactly 0
+  const heights = new Float32Array(slices * bins);
+  for (let i = 0; i < slices; i++) {
+    for (let j = 0; j < bins; j++) {
+      const amp = j < activeRowsCount ? packed[i * stride + j] : 0; // collapse highs
+      const y = amp * relief;
+      heights[j * slices + i] = y < minFeature ? 0 : y;
+    }
+  }
+  // Face colors from average height (approx amplitude); flat areas take the ramp's zero color
+  // like the live view
+  function reliefColor(ya, yb, yc, row) {
+    const t = relief > 0 ? (ya + yb + yc) / (3 * relief) : 0;
+    return paletteIndexForColor(colorForSample(Math.max(0, Math.min(1, t)), row, coloring));
+  }
+
+  if (print.shape && print.shape !== 'flat') {
+    addWrappedSolid();
+  } else {
+    addHeightfieldSolid({
+      cols: slices,
+      rows: bins,
+      heights,
+      xs: Array.from({ length: slices }, (_, i) => x0 + dx * i),
+      // Use same Z placement used in the live view
+      zs: Array.from({ length: bins }, (_, j) => exportRowZ(j) * sz),
+      top: OUT_TOP,
+      maxDeviation: print.maxDeviation,
+      faceColor: reliefColor,
+    });
+    if (print.titlePlate !== 'none' || markers.length) {
+      addTitlePlate(exportRowZ(bins - 1) * sz);
+    }
+  }
+
+  // The relief wrapped around the vertical axis (see createShapeMapping()), standing on its
+  // low-frequency edge. The relief keeps every grid point: the quadtree's flat leaves would cut
+  // chords through the curve. A cylinder is solid, capped by fans from the axis; rings and
+  // spirals are walls `base` thick behind the relief, and the open spiral is closed at both
+  // ends. The title plate only fits the flat slab.
+  function addWrappedSolid() {
+    const cols = slices;
+    const shape = printShapeMapping(print, cols);
+    const { closed } = shape;
+    const hollow = print.shape !== 'cylinder';
+    const vs = Array.from({ length: bins }, (_, j) => (exportRowZ(j) - exportRowZ(0)) * sz);
+    const top = bins - 1;
+    const spans = closed ? cols : cols - 1; // closed loops also join the last column to the first
+    const next = (i) => (i + 1) % cols;
+    const outward = (column) => {
+      const theta = shape.angleAt(column);
+      return { x: Math.cos(theta), y: 0, z: Math.sin(theta) };
+    };
+    const inward = (column) => {
+      const out = outward(column);
+      return { x: -out.x, y: 0, z: -out.z };
+    };
+
+    const outer = new Int32Array(cols * bins);
+    for (let j = 0; j < bins; j++) {
+      for (let i = 0; i < cols; i++) outer[j * cols + i] = pushV(...shape.place(i, vs[j], heights[j * cols + i]));
+    }
+    const at = (i, j) => outer[j * cols + i];
+    const h = (i, j) => heights[j * cols + i];
+    for (let i = 0; i < spans; i++) {
+      const n = next(i);
+      const out = outward(i + 0.5);
+      for (let j = 0; j < top; j++) {
+        emitFace(at(i, j), at(n, j), at(n, j + 1), out, reliefColor(h(i, j), h(n, j), h(n, j + 1), j + 2 / 3), SOLID_PART_SURFACE);
+        emitFace(at(i, j), at(n, j + 1), at(i, j + 1), out, reliefColor(h(i, j), h(n, j + 1), h(i, j + 1), j + 1 / 3), SOLID_PART_SURFACE);
+      }
+    }
+
+    if (!hollow) {
+      const bottomCenter = pushV(0, vs[0], 0);
+      const topCenter = pushV(0, vs[top], 0);
+      for (let i = 0; i < cols; i++) {
+        emitFace(bottomCenter, at(i, 0), at(next(i), 0), OUT_BOTTOM, baseMat);
+        emitFace(topCenter, at(i, top), at(next(i), top), OUT_PLATE_TOP, baseMat);
+      }
+      return;
+    }
+
+    // Inner wall: the bottom and top edges of every column, plus every row at the open ends so
+    // the end faces can meet it without T-junctions
+    const innerColumn = (i) => {
+      const rows = !closed && (i === 0 || i === cols - 1) ? vs.map((_, j) => j) : [0, top];
+      return rows.map((j) => pushV(...shape.place(i, vs[j], -base)));
+    };
+    const inner = Array.from({ length: cols }, (_, i) => innerColumn(i));
+    const innerBottom = (i) => inner[i][0];
+    const innerTop = (i) => inner[i][inner[i].length - 1];
+    for (let i = 0; i < spans; i++) {
+      const n = next(i);
+      emitFace(at(i, 0), at(n, 0), innerBottom(n), OUT_BOTTOM, baseMat);
+      emitFace(at(i, 0), innerBottom(n), innerBottom(i), OUT_BOTTOM, baseMat);
+      emitFace(at(i, top), at(n, top), innerTop(n), OUT_PLATE_TOP, baseMat);
+      emitFace(at(i, top), innerTop(n), innerTop(i), OUT_PLATE_TOP, baseMat);
+      zipChains(inner[i], inner[n], inward(i + 0.5));
+    }
+    if (closed) return;
+
+    // End faces: radial strips from the relief back to the inner wall
+    const along = (from, to) => {
+      const a = shape.place(from, 0, 0);
+      const b = shape.place(to, 0, 0);
+      return { x: b[0] - a[0], y: 0, z: b[2] - a[2] };
+    };
+    for (const [i, out] of [[0, along(1, 0)], [cols - 1, along(cols - 2, cols - 1)]]) {
+      for (let j = 0; j < top; j++) {
+        emitFace(at(i, j), at(i, j + 1), inner[i][j + 1], out, baseMat);
+        emitFace(at(i, j), inner[i][j + 1], inner[i][j], out, baseMat);
+      }
+    }
+  }
+
+  // Triangulate the strip between two chains of vertices that each run bottom to top along a
+  // straight line, always advancing the chain whose next vertex is lower
+  function zipChains(left, right, desired) {
+    let a = 0;
+    let b = 0;
+    while (a < left.length - 1 || b < right.length - 1) {
+      const advanceLeft = b === right.length - 1
+        || (a < left.length - 1 && vy[left[a + 1]] <= vy[right[b + 1]]);
+      if (advanceLeft) {
+        emitFace(left[a], right[b], left[a + 1], desired, baseMat);
+        a++;
+      } else {
+        emitFace(left[a], right[b], right[b + 1], desired, baseMat);
+        b++;
+      }
+    }
+  }
+
+  // Separate closed shell in front of the model: a plate whose top carries the raised or
+  // sunken title and time markers
+  function addTitlePlate(frontZ) {
+    const text = print.titlePlate !== 'none' ? print.titleText.trim() : '';
+    const cols = Math.min(2000, Math.round(exportWidth / titlePlateCell) + 1);
+    const rows = Math.round(titlePlateDepth / titlePlateCell) + 1;
+    const coverage = text || markers.length ? rasterizePlate(text, markers, cols, rows) : null;
+    const depthOf = (mode) => Math.min(0.8, base / 2) * (mode === 'engrave' ? -1 : 1);
+    const textRelief = depthOf(print.titlePlate);
+    const markerRelief = depthOf(print.markerPlate);
+    const plateZ0 = frontZ - titlePlateOverlap;
+    const plateDz = (titlePlateDepth + titlePlateOverlap) / (rows - 1);
+    const plateDx = exportWidth / (cols - 1);
+    const textMat = paletteIndexForColor({ r: 0.15, g: 0.15, b: 0.15 });
+
+    const plateHeights = new Float32Array(cols * rows);
+    if (coverage) {
+      for (let k = 0; k < plateHeights.length; k++) {
+        if (coverage.title[k] >= 0.5) plateHeights[k] = textRelief;
+        else if (coverage.markers[k] >= 0.5) plateHeights[k] = markerRelief;
+      }
+    }
+    addHeightfieldSolid({
+      cols,
+      rows,
+      heights: plateHeights,
+      xs: Array.from({ length: cols }, (_, i) => x0 + plateDx * i),
+      zs: Array.from({ length: rows }, (_, j) => plateZ0 + plateDz * j),
+      top: OUT_PLATE_TOP,
+      // Never so coarse that the lettering itself gets smoothed away
+      maxDeviation: Math.min(print.maxDeviation, Math.abs(textRelief) / 4, Math.abs(markerRelief) / 4),
+      faceColor: (ya, yb, yc) => (ya !== 0 || yb !== 0 || yc !== 0 ? textMat : baseMat),
+    });
+  }
+
+  // Typed arrays so the solid can be transferred between the worker and the page
+  return {
+    positions: Float32Array.from(positions),
+    indices: Uint32Array.from(indices),
+    faceColors: Uint32Array.from(faceColors),
+    faceParts: Uint8Array.from(faceParts),
+    palette,
+  };
+}
+
+// Buffers of a solid, for postMessage transfer lists
+export function solidTransferables(solid) {
+  return [solid.positions.buffer, solid.indices.buffer, solid.faceColors.buffer, solid.faceParts.buffer];
+}
+
+const textChunkLines = 50000; // lines per Blob part when writing text formats
+
+// Collects text lines into Blob parts so long exports never hold the whole file as one string.
+// Each flush yields to the browser so the page stays responsive and can paint progress.
+export function createTextChunkWriter(onProgress) {
+  const parts = [];
+  let lines = [];
+  return {
+    push(line) {
+      lines.push(line);
+    },
+    get full() {
+      return lines.length >= textChunkLines;
+    },
+    async flush(fraction) {
+      parts.push(new Blob([lines.join('\n'), '\n']));
+      lines = [];
+      if (onProgress) onProgress(fraction);
+      await yieldToBrowser();
+    },
+    async toBlob(type) {
+      await this.flush(1);
+      return new Blob(parts, { type });
+    },
+  };
+}
+
+// Build a watertight OBJ + MTL. Colors are assigned per-face via materials.
+export async function buildOBJ(solid, { onProgress } = {}) {
+  const { positions, indices, faceColors, palette } = solid;
+  const vertexCount = positions.length / 3;
+  const total = vertexCount + faceColors.length;
+  const out = createTextChunkWriter(onProgress);
+  out.push('# Dial-up spectrogram export');
+  out.push('mtllib dialup_spectrogram.mtl');
+  out.push('g spectrogram');
+  for (let i = 0; i < vertexCount; i++) {
+    const i3 = i * 3;
+    out.push(`v ${positions[i3].toFixed(5)} ${positions[i3 + 1].toFixed(5)} ${positions[i3 + 2].toFixed(5)}`);
+    if (out.full) await out.flush(i / total);
+  }
+  let currentMaterial = -1;
+  for (let t = 0; t < faceColors.length; t++) {
+    const i3 = t * 3;
+    // Faces come in runs of the same color; switching material once per run is enough
+    if (faceColors[t] !== currentMaterial) {
+      currentMaterial = faceColors[t];
+      out.push(`usemtl c_${palette[currentMaterial].key}`);
+    }
+    // OBJ indices are 1-based
+    out.push(`f ${indices[i3] + 1} ${indices[i3 + 1] + 1} ${indices[i3 + 2] + 1}`);
+    if (out.full) await out.flush((vertexCount + t) / total);
+  }
+  const objBlob = await out.toBlob('text/plain');
+
+  // Build MTL text from used materials
+  const mtlLines = ['# Materials'];
+  for (const { key, r, g, b } of palette) {
+    mtlLines.push(`newmtl c_${key}`);
+    mtlLines.push(`Kd ${(r / 255).toFixed(6)} ${(g / 255).toFixed(6)} ${(b / 255).toFixed(6)}`);
+    mtlLines.push('Ka 0 0 0');
+    mtlLines.push('Ks 0 0 0');
+    mtlLines.push('illum 1');
+    mtlLines.push('d 1');
+    mtlLines.push('');
+  }
+  const mtlText = mtlLines.join('\n');
+  return { objBlob, mtlText };
+}
+
+// Slicers expect Z-up millimetres; the scene is Y-up. Rotate the solid (x, y, z) -> (x, -z, y)
+// and lift it so the underside of the base rests on the build plate at z = 0.
+function solidToPrintCoordinates(positions) {
+  const out = new Float32Array(positions.length);
+  let minZ = Infinity;
+  for (let i = 0; i < positions.length; i += 3) minZ = Math.min(minZ, positions[i + 1]);
+  for (let i = 0; i < positions.length; i += 3) {
+    out[i + 0] = positions[i + 0];
+    out[i + 1] = -positions[i + 2];
+    out[i + 2] = positions[i + 1] - minZ;
+  }
+  return out;
+}
+
+// Binary STL: 80-byte header, triangle count, then normal + 3 vertices + attribute per triangle
+export function buildSTL(solid) {
+  const { positions, indices } = solid;
+  const p = solidToPrintCoordinates(positions);
+  const triangleCount = indices.length / 3;
+  const buffer = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(buffer);
+  const header = 'Dial-up spectrogram export (binary STL)';
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+  view.setUint32(80, triangleCount, true);
+
+  let offset = 84;
+  for (let t = 0; t < triangleCount; t++) {
+    const a = indices[t * 3] * 3;
+    const b = indices[t * 3 + 1] * 3;
+    const c = indices[t * 3 + 2] * 3;
+    const abx = p[b] - p[a], aby = p[b + 1] - p[a + 1], abz = p[b + 2] - p[a + 2];
+    const acx = p[c] - p[a], acy = p[c + 1] - p[a + 1], acz = p[c + 2] - p[a + 2];
+    let nx = aby * acz - abz * acy;
+    let ny = abz * acx - abx * acz;
+    let nz = abx * acy - aby * acx;
+    const len = Math.hypot(nx, ny, nz) || 1;
+    nx /= len; ny /= len; nz /= len;
+    view.setFloat32(offset, nx, true);
+    view.setFloat32(offset + 4, ny, true);
+    view.setFloat32(offset + 8, nz, true);
+    offset += 12;
+    for (const v of [a, b, c]) {
+      view.setFloat32(offset, p[v], true);
+      view.setFloat32(offset + 4, p[v + 1], true);
+      view.setFloat32(offset + 8, p[v + 2], true);
+      offset += 12;
+    }
+    view.setUint16(offset, 0, true); // attribute byte count
+    offset += 2;
+  }
+  return new Blob([buffer], { type: 'model/stl' });
+}
+
+// 3MF package with per-triangle colors stored once in a color group
+// instead of one material per quantized color.
+export async function build3MF(solid, { onProgress } = {}) {
+  const { positions, indices, faceColors, palette } = solid;
+  const p = solidToPrintCoordinates(positions);
+  const hex = (n) => n.toString(16).padStart(2, '0').toUpperCase();
+  const vertexCount = p.length / 3;
+  const total = vertexCount + faceColors.length;
+  // The model text takes the first 80% of the progress bar, packing the rest
+  const out = createTextChunkWriter(onProgress && ((fraction) => onProgress(fraction * 0.8)));
+  const packProgress = onProgress && ((fraction) => onProgress(0.8 + fraction * 0.2));
+
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push('<model unit="millimeter" xml:lang="en-US"'
+    + ' xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02"'
+    + ' xmlns:m="http://schemas.microsoft.com/3dmanufacturing/material/2015/02">');
+  out.push(' <metadata name="Title">Dial-up spectrogram</metadata>');
+  out.push(' <resources>');
+  out.push('  <m:colorgroup id="1">');
+  for (const { r, g, b } of palette) out.push(`   <m:color color="#${hex(r)}${hex(g)}${hex(b)}"/>`);
+  out.push('  </m:colorgroup>');
+  out.push('  <object id="2" type="model" pid="1" pindex="0">');
+  out.push('   <mesh>');
+  out.push('    <vertices>');
+  for (let i = 0; i < vertexCount; i++) {
+    const i3 = i * 3;
+    out.push(`     <vertex x="${p[i3].toFixed(5)}" y="${p[i3 + 1].toFixed(5)}" z="${p[i3 + 2].toFixed(5)}"/>`);
+    if (out.full) await out.flush(i / total);
+  }
+  out.push('    </vertices>');
+  out.push('    <triangles>');
+  for (let t = 0; t < faceColors.length; t++) {
+    const i3 = t * 3;
+    out.push(`     <triangle v1="${indices[i3]}" v2="${indices[i3 + 1]}" v3="${indices[i3 + 2]}" pid="1" p1="${faceColors[t]}"/>`);
+    if (out.full) await out.flush((vertexCount + t) / total);
+  }
+  out.push('    </triangles>');
+  out.push('   </mesh>');
+  out.push('  </object>');
+  out.push(' </resources>');
+  out.push(' <build>');
+  out.push('  <item objectid="2"/>');
+  out.push(' </build>');
+  out.push('</model>');
+  const model = await out.toBlob('application/xml');
+
+  const contentTypes = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    ' <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    ' <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>',
+    '</Types>',
+  ].join('\n');
+  const rels = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    ' <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>',
+    '</Relationships>',
+  ].join('\n');
+
+  return buildZip([
+    { name: '[Content_Types].xml', data: new Blob([contentTypes]) },
+    { name: '_rels/.rels', data: new Blob([rels]) },
+    { name: '3D/3dmodel.model', data: model },
+  ], 'model/3mf', packProgress);
+}
+
+// -------- Minimal ZIP writer (used for 3MF packages) --------
+const crcTable = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 of `bytes`; pass the result for the chunks before as `crc` to continue over a stream
+export function crc32(bytes, crc = 0) {
+  crc ^= 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A raw DEFLATE transform, or null where CompressionStream lacks it and entries are stored
+function createDeflateStream() {
+  if (typeof CompressionStream === 'undefined') return null;
+  try {
+    return new CompressionStream('deflate-raw');
+  } catch {
+    return null;
+  }
+}
+
+// Raw DEFLATE of a whole buffer, or null where it is not available
+export async function deflateRaw(bytes) {
+  const deflate = createDeflateStream();
+  if (!deflate) return null;
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(deflate);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+// `entries` hold Blobs that are streamed chunk by chunk, so a large entry is never read into
+// one buffer: the CRC and size are summed as chunks pass on to the compressor and written in a
+// data descriptor after the entry. `onProgress` gets the fraction of input bytes packed.
+async function buildZip(entries, mimeType, onProgress) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  const total = entries.reduce((sum, { data }) => sum + data.size, 0);
+  let packed = 0;
+  let offset = 0;
+  for (const { name, data } of entries) {
+    const nameBytes = encoder.encode(name);
+    let crc = 0;
+    const measured = data.stream().pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        crc = crc32(chunk, crc);
+        packed += chunk.length;
+        if (onProgress && total > 0) onProgress(packed / total);
+        controller.enqueue(chunk);
+      },
+    }));
+    const deflate = createDeflateStream();
+    const method = deflate ? 8 : 0;
+    const payload = await new Response(deflate ? measured.pipeThrough(deflate) : measured).blob();
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x08, true); // flags: CRC and sizes follow in a data descriptor
+    local.setUint16(8, method, true);
+    local.setUint16(10, 0, true); // time
+    local.setUint16(12, 0x21, true); // date: 1980-01-01
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true); // extra length
+
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, 0x08074b50, true);
+    descriptor.setUint32(4, crc, true);
+    descriptor.setUint32(8, payload.size, true);
+    descriptor.setUint32(12, data.size, true);
+    parts.push(local, nameBytes, payload, descriptor);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true); // version made by
+    header.setUint16(6, 20, true); // version needed
+    header.setUint16(8, 0x08, true);
+    header.setUint16(10, method, true);
+    header.setUint16(12, 0, true);
+    header.setUint16(14, 0x21, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, payload.size, true);
+    header.setUint32(24, data.size, true);
+    header.setUint16(28, nameBytes.length, true);
+    header.setUint32(42, offset, true); // local header offset
+    central.push(header, nameBytes);
+
+    offset += 30 + nameBytes.length + payload.size + 16;
+  }
+  let centralSize = 0;
+  for (const part of central) centralSize += part.byteLength;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type: mimeType });
+}
+
+// Let the browser handle input and paint between chunks of a long export
+export function yieldToBrowser() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
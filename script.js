@@ -1,6 +1,17 @@
 // Three.js r140 via import map defined in index.html
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import {
+  levelsFromDecibels, amplitudesFromLevels, combineChannelSlice, silenceDb,
+} from './analysis.js';
+import {
+  SOLID_PART_BASE, sampleColorRamp, colorForSample, titlePlateDepth, createShapeMapping, printShapeMapping,
+} from './meshing.js';
+import { runPipelineJob } from './worker.js';
+import { sessionFileExtension, encodeSession, decodeSession } from './session.js';
+import { easings, interpolatePose, samplePath, orbitPose } from './camerapath.js';
+import { alignedSlices, differenceSlices } from './compare.js';
 
 // -------- DOM --------
 const container = document.getElementById('canvas-container');
@@ -9,26 +20,436 @@ const toggleAxesBtn = document.getElementById('toggleAxesBtn');
 const resetBtn = document.getElementById('resetBtn');
 const fileInput = document.getElementById('fileInput');
 const exportBtn = document.getElementById('exportBtn');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+const exportBaseToggle = document.getElementById('exportBaseToggle');
+const generateBtn = document.getElementById('generateBtn');
 const audioEl = document.getElementById('audioEl');
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsPanel = document.getElementById('settingsPanel');
+const settingsResetBtn = document.getElementById('settingsResetBtn');
+const customStopsEditor = document.getElementById('customStopsEditor');
+const customStopsList = document.getElementById('customStopsList');
+const addColorStopBtn = document.getElementById('addColorStopBtn');
+const colorMapPreview = document.getElementById('colorMapPreview');
+const hoverReadout = document.getElementById('hoverReadout');
+const liveBtn = document.getElementById('liveBtn');
+const inputDeviceSelect = document.getElementById('inputDeviceSelect');
+const trimBar = document.getElementById('trimBar');
+const trimStartInput = document.getElementById('trimStartInput');
+const trimEndInput = document.getElementById('trimEndInput');
+const trimTrack = document.getElementById('trimTrack');
+const trimLabel = document.getElementById('trimLabel');
+const trimResetBtn = document.getElementById('trimResetBtn');
+const exportDialog = document.getElementById('exportDialog');
+const exportConfirmBtn = document.getElementById('exportConfirmBtn');
+const exportCancelBtn = document.getElementById('exportCancelBtn');
+const exportSummary = document.getElementById('exportSummary');
+const exportPrintOptions = document.getElementById('exportPrintOptions');
+const exportTitleOptions = document.getElementById('exportTitleOptions');
+const exportProgress = document.getElementById('exportProgress');
+const exportProgressBar = document.getElementById('exportProgressBar');
+const exportProgressLabel = document.getElementById('exportProgressLabel');
+const errorNotice = document.getElementById('errorNotice');
+const saveSessionBtn = document.getElementById('saveSessionBtn');
+const openSessionBtn = document.getElementById('openSessionBtn');
+const sessionFileInput = document.getElementById('sessionFileInput');
+const importDataBtn = document.getElementById('importDataBtn');
+const dataFileInput = document.getElementById('dataFileInput');
+const recordVideoBtn = document.getElementById('recordVideoBtn');
+const cameraBtn = document.getElementById('cameraBtn');
+const cameraPanel = document.getElementById('cameraPanel');
+const cameraBookmarkList = document.getElementById('cameraBookmarkList');
+const cameraBookmarkName = document.getElementById('cameraBookmarkName');
+const saveBookmarkBtn = document.getElementById('saveBookmarkBtn');
+const previewPathBtn = document.getElementById('previewPathBtn');
+const compareBtn = document.getElementById('compareBtn');
+const compareFileInput = document.getElementById('compareFileInput');
+const compareBar = document.getElementById('compareBar');
+const compareName = document.getElementById('compareName');
+const compareOffsetInput = document.getElementById('compareOffsetInput');
+const compareOffsetLabel = document.getElementById('compareOffsetLabel');
+const autoAlignBtn = document.getElementById('autoAlignBtn');
+const removeCompareBtn = document.getElementById('removeCompareBtn');
+const markerLabelInput = document.getElementById('markerLabelInput');
+const addMarkerBtn = document.getElementById('addMarkerBtn');
+const markerList = document.getElementById('markerList');
+
+// -------- Settings --------
+// Analysis and mapping parameters, persisted per browser so each sound source can be
+// tuned without editing the script. Numbers are clamped to the ranges below on load.
+const settingsStorageKey = 'dialup_visualizer.settings';
+const defaultSettings = {
+  fftSize: 1024, // 512 freq bins
+  smoothingTimeConstant: 0.85,
+  pointsPerSlice: 128, // downsample frequency bins for performance
+  activeFrequencyFraction: 0.75, // show first ~75% of rows; collapse the rest
+  frequencyExponent: 0.65, // <1 spreads low/mid frequencies
+  noiseFloor: 0.03, // ignore very small magnitudes
+  heightScale: 0.6, // amplitude scale
+  frequencyScale: 'power', // row spacing: power curve, linear, log, mel or bark
+  amplitudeMode: 'classic', // 'classic' byte curve or calibrated 'db'
+  minDb: -90, // dBFS mapped to zero height in dB mode
+  maxDb: 0, // dBFS mapped to full height in dB mode
+  gamma: 1, // optional curve applied to the normalized dB level
+  colorMap: 'reference', // reference, viridis, magma, inferno, grayscale or custom
+  colorBy: 'amplitude', // color by 'amplitude' or by 'frequency' row
+  channelMode: 'mono', // 'mono' downmix, or stereo as 'side' by side, 'mirror'ed or 'midside'
+  viewMode: 'grow', // 'grow' the surface forever or scroll a fixed 'waterfall' window
+  waterfallSeconds: 20, // length of the waterfall window
+  waterfallRecord: true, // keep recording every slice for export while in waterfall view
+  modelShape: 'flat', // 'flat' slab, or time wrapped around a 'cylinder', 'ring' or 'spiral'
+  spiralTurns: 3,
+  customColorStops: [
+    { s: 0, color: '#1e3a8a' },
+    { s: 0.5, color: '#f8fafc' },
+    { s: 1, color: '#dc2626' },
+  ],
+  // Export geometry, in millimetres
+  printWidth: 180, // along time
+  printDepth: 60, // along frequency
+  printBaseThickness: 3,
+  printMinFeature: 0.4, // thinner relief is flattened onto the base
+  printZScale: 1, // vertical exaggeration of the relief
+  printMaxDeviation: 0.05, // simplification may move the top surface by at most this much
+  titlePlate: 'none', // 'none', 'emboss' or 'engrave' a title on a plate in front of the model
+  titleText: '',
+  markerPlate: 'none', // 'none', 'emboss' or 'engrave' the time markers on the plate
+  // Video recordings
+  videoSize: '1920x1080', // frame size in pixels, width x height
+  videoFrameRate: 30,
+  // Camera paths
+  cameraPath: 'manual', // 'manual', 'follow' the playhead, 'orbit', 'topdown' or 'tour' the bookmarks
+  cameraEasing: 'easeInOut', // shape of each leg between bookmarks
+  cameraLegSeconds: 4, // time from one bookmark to the next
+  orbitSeconds: 30, // time for one full orbit
+  // Comparison with a second source
+  compareMode: 'side', // show it 'side' by side, as a translucent 'overlay' or as the 'difference'
+  compareOffset: 0, // seconds the second source is shifted later against the capture
+};
+// Settings that only shape exported files; changing them leaves the scene untouched
+const printSettingKeys = [
+  'printWidth', 'printDepth', 'printBaseThickness', 'printMinFeature', 'printZScale',
+  'printMaxDeviation', 'titlePlate', 'titleText', 'markerPlate', 'videoSize', 'videoFrameRate',
+];
+// Settings that only steer the camera
+const cameraSettingKeys = ['cameraPath', 'cameraEasing', 'cameraLegSeconds', 'orbitSeconds'];
+// Settings that only change how the second source is laid against the capture
+const comparisonSettingKeys = ['compareMode', 'compareOffset'];
+const settingRanges = {
+  fftSize: [32, 32768],
+  smoothingTimeConstant: [0, 0.99],
+  pointsPerSlice: [8, 1024],
+  activeFrequencyFraction: [0.05, 1],
+  frequencyExponent: [0.1, 3],
+  noiseFloor: [0, 0.95],
+  heightScale: [0.05, 5],
+  minDb: [-160, 10],
+  maxDb: [-150, 20],
+  gamma: [0.1, 5],
+  waterfallSeconds: [2, 120],
+  spiralTurns: [1, 20],
+  printWidth: [20, 1000],
+  printDepth: [10, 1000],
+  printBaseThickness: [0.4, 50],
+  printMinFeature: [0, 5],
+  printZScale: [0.1, 10],
+  printMaxDeviation: [0, 5],
+  videoFrameRate: [10, 60],
+  cameraLegSeconds: [0.5, 60],
+  orbitSeconds: [5, 600],
+  compareOffset: [-600, 600],
+};
+const settingChoices = {
+  frequencyScale: ['power', 'linear', 'log', 'mel', 'bark'],
+  amplitudeMode: ['classic', 'db'],
+  colorMap: ['reference', 'viridis', 'magma', 'inferno', 'grayscale', 'custom'],
+  colorBy: ['amplitude', 'frequency'],
+  channelMode: ['mono', 'side', 'mirror', 'midside'],
+  viewMode: ['grow', 'waterfall'],
+  modelShape: ['flat', 'cylinder', 'ring', 'spiral'],
+  titlePlate: ['none', 'emboss', 'engrave'],
+  markerPlate: ['none', 'emboss', 'engrave'],
+  videoSize: ['1280x720', '1920x1080', '2560x1440', '3840x2160', '1080x1080', '1080x1920'],
+  cameraPath: ['manual', 'follow', 'orbit', 'topdown', 'tour'],
+  cameraEasing: Object.keys(easings),
+  compareMode: ['side', 'overlay', 'difference'],
+};
+
+function sanitizeSettings(raw) {
+  const out = { ...defaultSettings };
+  for (const key of Object.keys(defaultSettings)) {
+    const value = raw ? raw[key] : undefined;
+    if (typeof value !== typeof defaultSettings[key]) continue;
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) continue;
+      const range = settingRanges[key];
+      out[key] = range ? Math.min(range[1], Math.max(range[0], value)) : value;
+    } else if (!settingChoices[key] || settingChoices[key].includes(value)) {
+      out[key] = value;
+    }
+  }
+  // AnalyserNode only accepts powers of two, and rows cannot outnumber the bins
+  out.fftSize = 2 ** Math.round(Math.log2(out.fftSize));
+  out.pointsPerSlice = Math.min(out.fftSize / 2, Math.round(out.pointsPerSlice));
+  if (out.maxDb <= out.minDb) out.maxDb = out.minDb + 10;
+  out.customColorStops = sanitizeColorStops(out.customColorStops);
+  out.titleText = out.titleText.slice(0, 60);
+  return out;
+}
+
+// Custom gradient: at least two { s: 0..1, color: '#rrggbb' } stops, sorted by position
+function sanitizeColorStops(stops) {
+  const valid = Array.isArray(stops)
+    ? stops
+      .filter((stop) => stop && Number.isFinite(stop.s) && /^#[0-9a-f]{6}$/i.test(stop.color))
+      .map((stop) => ({ s: Math.min(1, Math.max(0, stop.s)), color: stop.color.toLowerCase() }))
+      .sort((a, b) => a.s - b.s)
+    : [];
+  return valid.length >= 2 ? valid : defaultSettings.customColorStops.map((stop) => ({ ...stop }));
+}
+
+function loadSettings() {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(settingsStorageKey)));
+  } catch {
+    return sanitizeSettings(null);
+  }
+}
+
+function saveSettings() {
+  try { localStorage.setItem(settingsStorageKey, JSON.stringify(savedSettings)); } catch { }
+}
+
+const settings = loadSettings();
+// The user's own settings, which are what gets saved. Settings that arrive with a loaded file
+// change `settings` only, so they last until the page is reloaded.
+const savedSettings = { ...settings };
 
 // -------- Audio setup --------
 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
 const audioSource = audioContext.createMediaElementSource(audioEl);
 const analyser = audioContext.createAnalyser();
-analyser.fftSize = 1024; // 512 freq bins
-const defaultSmoothing = 0.85;
-analyser.smoothingTimeConstant = defaultSmoothing;
+analyser.fftSize = settings.fftSize;
+analyser.smoothingTimeConstant = settings.smoothingTimeConstant;
+// Output passes through a gain so live input can be analysed without being monitored
+// (playing a microphone back through the speakers would feed back)
+const outputGain = audioContext.createGain();
 audioSource.connect(analyser);
-analyser.connect(audioContext.destination);
+analyser.connect(outputGain);
+outputGain.connect(audioContext.destination);
+
+// Stereo layouts analyse two signals of their own, left and right or mid and side, mixed from
+// a channel splitter through the gains set by setStereoMix(). The input is first forced to two
+// channels so mono sources feed both.
+const stereoInput = audioContext.createGain();
+stereoInput.channelCount = 2;
+stereoInput.channelCountMode = 'explicit';
+stereoInput.channelInterpretation = 'speakers';
+const channelSplitter = audioContext.createChannelSplitter(2);
+stereoInput.connect(channelSplitter);
+const channelAnalysers = [audioContext.createAnalyser(), audioContext.createAnalyser()];
+// stereoMixGains[input channel][analyser]
+const stereoMixGains = [0, 1].map((input) => channelAnalysers.map((node) => {
+  const gain = audioContext.createGain();
+  channelSplitter.connect(gain, input);
+  gain.connect(node);
+  return gain;
+}));
+audioSource.connect(stereoInput);
+const analysisNodes = [analyser, ...channelAnalysers];
+for (const node of channelAnalysers) {
+  node.fftSize = settings.fftSize;
+  node.smoothingTimeConstant = settings.smoothingTimeConstant;
+}
 
-const freqBinCount = analyser.frequencyBinCount; // 512
-const freqData = new Uint8Array(freqBinCount);
+function setStereoMix(mode) {
+  const matrix = mode === 'midside' ? [[0.5, 0.5], [0.5, -0.5]] : [[1, 0], [0, 1]];
+  matrix.forEach((row, input) => row.forEach((value, output) => {
+    stereoMixGains[input][output].gain.value = value;
+  }));
+}
+setStereoMix(settings.channelMode);
+
+let freqBinCount = analyser.frequencyBinCount;
+let freqData = new Float32Array(freqBinCount); // dB per bin, as reported by the analyser
+let channelFreqData = channelAnalysers.map(() => new Float32Array(freqBinCount));
 
 function flushAnalyser() {
   // Temporarily disable smoothing and pull a few frames to drop residual state
-  analyser.smoothingTimeConstant = 0;
-  for (let i = 0; i < 4; i++) analyser.getByteFrequencyData(freqData);
-  freqData.fill(0);
+  for (const node of analysisNodes) {
+    node.smoothingTimeConstant = 0;
+    for (let i = 0; i < 4; i++) node.getFloatFrequencyData(freqData);
+    node.smoothingTimeConstant = settings.smoothingTimeConstant;
+  }
+  freqData.fill(-Infinity);
+}
+
+// -------- Pipeline worker --------
+// Offline analysis, finished-surface attributes and export meshing run in worker.js so the
+// render loop keeps going while they work. Results come back as transferred typed arrays;
+// inputs are copied, so a job can still run inline if the worker turns out to be unusable.
+let pipelineWorker = null;
+try {
+  pipelineWorker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+} catch {
+  pipelineWorker = null;
+}
+const pipelineRequests = new Map(); // job id -> { resolve, reject, onProgress, retry }
+let nextPipelineJobId = 1;
+
+if (pipelineWorker) {
+  pipelineWorker.addEventListener('message', ({ data }) => {
+    const request = pipelineRequests.get(data.id);
+    if (!request) return;
+    if ('progress' in data) {
+      if (request.onProgress) request.onProgress(data.progress);
+      return;
+    }
+    pipelineRequests.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  });
+  pipelineWorker.addEventListener('error', (e) => {
+    // A worker that fails to load (e.g. no module worker support) falls back to inline jobs
+    console.warn('Pipeline worker failed; running jobs on the page', e.message);
+    pipelineWorker = null;
+    const pending = [...pipelineRequests.values()];
+    pipelineRequests.clear();
+    for (const request of pending) request.retry();
+  });
+}
+
+// Run a worker.js job and resolve with its result
+function runPipeline(type, payload, { onProgress = null } = {}) {
+  const runInline = async () => (await runPipelineJob(type, payload, onProgress)).result;
+  if (!pipelineWorker) return runInline();
+  return new Promise((resolve, reject) => {
+    const id = nextPipelineJobId++;
+    const retry = () => runInline().then(resolve, reject);
+    pipelineRequests.set(id, { resolve, reject, onProgress, retry });
+    try {
+      pipelineWorker.postMessage({ id, type, payload });
+    } catch (err) {
+      // Payloads that cannot be cloned never reach the worker
+      pipelineRequests.delete(id);
+      reject(err);
+    }
+  });
+}
+
+// -------- Offline (faster-than-realtime) analysis --------
+// Decodes the loaded source and runs the same STFT the AnalyserNode would, but over a
+// fixed hop size. The result no longer depends on frame rate, tab throttling or the
+// output device's sample rate, so a given file always produces the same mesh.
+const offlineSampleRate = 44100; // fixed decode rate so bins line up on every machine
+const offlineSlicesPerSecond = 60; // roughly the live capture rate on a 60 Hz display
+let spectrumSampleRate = audioContext.sampleRate; // rate the captured bins refer to
+let sourceName = 'dialup.mp3'; // file name of the current source, recorded in exports
+let sourceHash; // SHA-256 of the source audio, hashed on first save; null for live input
+
+// Captures opened from a session or data file have no audio behind them; the previous source
+// is detached then, so playing, seeking and marker jumps cannot play unrelated audio over them
+function hasSourceAudio() {
+  return audioEl.hasAttribute('src');
+}
+
+function detachSourceAudio() {
+  audioEl.pause();
+  audioEl.removeAttribute('src');
+  try { audioEl.load(); } catch { }
+  syncSourceControls();
+}
+
+function syncSourceControls() {
+  const available = hasSourceAudio();
+  playBtn.disabled = !available;
+  if (generateBtn) generateBtn.disabled = !available;
+}
+
+// A new file or drop sets the source again
+audioEl.addEventListener('loadstart', syncSourceControls);
+
+async function decodeSourceAudio() {
+  if (!hasSourceAudio()) throw new Error('No source audio is loaded');
+  const response = await fetch(audioEl.currentSrc || audioEl.src);
+  return decodeAtOfflineRate(await response.arrayBuffer());
+}
+
+function decodeAtOfflineRate(encoded) {
+  // Decoding through an offline context resamples to its rate instead of the device's
+  const decoder = new OfflineAudioContext(1, 1, offlineSampleRate);
+  return decoder.decodeAudioData(encoded);
+}
+
+// Packed slices, row levels and times of a decoded buffer, mapped with the current settings
+function analyseAudioBuffer(audioBuffer) {
+  return runPipeline('analyse', {
+    channels: stereoLayout ? stereoSignals(audioBuffer) : [downmixToMono(audioBuffer)],
+    layout: stereoLayout,
+    sampleRate: audioBuffer.sampleRate,
+    options: {
+      fftSize: analyser.fftSize,
+      smoothing: settings.smoothingTimeConstant,
+      slicesPerSecond: offlineSlicesPerSecond,
+      mapping: sliceMapping(),
+    },
+  });
+}
+
+// The two signals of the stereo layouts: left and right, or mid and side. Mono files feed both.
+function stereoSignals(audioBuffer) {
+  const left = audioBuffer.getChannelData(0);
+  const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+  if (settings.channelMode !== 'midside') return [left, right];
+  const mid = new Float32Array(left.length);
+  const side = new Float32Array(left.length);
+  for (let i = 0; i < left.length; i++) {
+    mid[i] = (left[i] + right[i]) / 2;
+    side[i] = (left[i] - right[i]) / 2;
+  }
+  return [mid, side];
+}
+
+function downmixToMono(audioBuffer) {
+  const mono = new Float32Array(audioBuffer.length);
+  const channels = audioBuffer.numberOfChannels;
+  for (let c = 0; c < channels; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) mono[i] += data[i] / channels;
+  }
+  return mono;
+}
+
+async function generateOffline() {
+  if (liveInput) stopLiveInput({ finalize: false });
+  audioEl.pause();
+  audioEl.currentTime = 0;
+  setPlayButtonState(false);
+  hasEnded = false;
+  isCapturing = false;
+  clearCapture();
+  hardResetVisualization();
+  setExportAvailability(false);
+  const generation = offlineGeneration;
+
+  const audioBuffer = await decodeSourceAudio();
+  if (generation !== offlineGeneration) return;
+  setSpectrumSampleRate(audioBuffer.sampleRate);
+  const { slices, levels, times, count } = await analyseAudioBuffer(audioBuffer);
+  if (generation !== offlineGeneration) return;
+  // Slices stay views into the packed buffers the worker returned
+  for (let i = 0; i < count; i++) {
+    capturedSlices.push(slices.subarray(i * pointsPerSlice, (i + 1) * pointsPerSlice));
+    capturedLevels.push(levels.subarray(i * pointsPerSlice, (i + 1) * pointsPerSlice));
+    capturedTimes.push(times[i]);
+  }
+  currentSliceIndex = capturedSlices.length;
+  hasEnded = true;
+  buildAxesAndTicks();
+  await finalizeModelGeometry();
+  if (generation !== offlineGeneration) return;
+  frameWholeModel();
+  setExportAvailability(capturedSlices.length >= 2);
 }
 
 // -------- 3D Scene --------
@@ -36,6 +457,7 @@ const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 renderer.setSize(container.clientWidth, container.clientHeight);
 renderer.setClearColor(0x000000, 1);
+let videoRecording = null; // { recorder, chunks, audioDestination, size, pixelRatio }, see video recording
 container.appendChild(renderer.domElement);
 
 const scene = new THREE.Scene();
@@ -70,22 +492,27 @@ scene.add(dir);
 
 // -------- Spectrogram surface --------
 // X axis: time (scrolling towards +X). Z axis: frequency bins. Y axis: amplitude.
-const pointsPerSlice = 128; // downsample frequency bins for performance
-const sliceStride = Math.floor(freqBinCount / pointsPerSlice);
+// Row count and shaping come from settings and are refreshed by applySettings()
+// pointsPerSlice counts the surface's rows: the analysis rows in mono, or both channels' active
+// rows plus a flat divider in the stereo layouts
+const stereoDividerRows = 2;
+const stereoDividerWidth = 6; // z gap between the two channels' bands
+let pointsPerSlice = surfaceRowsFor(settings);
 // Visual shaping across frequency axis: spread lows, compress empty highs
-const activeFrequencyFraction = 0.75; // show first ~75% of rows; collapse the rest
-const frequencyExponent = 0.65; // <1 spreads low/mid frequencies
-const noiseFloor = 0.03; // ignore very small magnitudes
+let activeFrequencyFraction = settings.activeFrequencyFraction;
+let frequencyExponent = settings.frequencyExponent;
+let noiseFloor = settings.noiseFloor;
 
 const numSlicesInitial = 1024; // initial capacity
 const width = 400; // initial visual width used to derive slice spacing
 const depth = 80; // z extent (frequency)
-const heightScale = 0.6; // amplitude scale
+let heightScale = settings.heightScale;
 
 // Constant spacing along X so model can grow indefinitely while keeping scale
 const sliceSpacing = width / (numSlicesInitial - 1);
 let capacity = numSlicesInitial; // current columns capacity
 let currentSliceIndex = 0; // next X index to fill
+let ring = null; // waterfall ring state while that view is live, see the waterfall section
 
 function createSurfaceGeometry(columnCapacity) {
   const g = new THREE.PlaneGeometry(sliceSpacing * (columnCapacity - 1), depth, columnCapacity - 1, pointsPerSlice - 1);
@@ -115,20 +542,186 @@ scene.add(surface);
 
 // Removed helper ground grid
 
-// Precompute Z positions per frequency row with nonlinear mapping and collapse of highs
+// -------- Frequency mapping --------
+// Every row covers a range of FFT bins and has a Z position. The classic "power" layout
+// takes equal bin ranges and spreads them with t^frequencyExponent, collapsing the rows
+// above the active band. The perceptual scales instead space rows evenly in log, mel or
+// bark units up to the top of the active band, so low rows cover narrow bin ranges.
 const zMin = -depth / 2;
 const zMax = depth / 2;
-const activeRows = Math.max(2, Math.floor(pointsPerSlice * activeFrequencyFraction));
-const zRowPositions = new Float32Array(pointsPerSlice);
-for (let z = 0; z < pointsPerSlice; z++) {
-  if (z < activeRows) {
-    const t = z / (activeRows - 1);
-    const tExp = Math.pow(t, frequencyExponent);
-    zRowPositions[z] = zMin + tExp * (zMax - zMin);
+const logScaleMinHz = 20; // log scale cannot start at 0 Hz
+
+const frequencyScales = {
+  linear: { toScale: (hz) => hz, fromScale: (v) => v },
+  log: { toScale: (hz) => Math.log(Math.max(hz, 1e-6)), fromScale: (v) => Math.exp(v) },
+  mel: {
+    toScale: (hz) => 2595 * Math.log10(1 + hz / 700),
+    fromScale: (mel) => 700 * (Math.pow(10, mel / 2595) - 1),
+  },
+  // Traunmüller's approximation of the Bark scale
+  bark: {
+    toScale: (hz) => (26.81 * hz) / (1960 + hz) - 0.53,
+    fromScale: (bark) => (1960 * (bark + 0.53)) / (26.28 - bark),
+  },
+};
+
+// Analysis rows map bins of one spectrum to single-channel Z positions (zMin..zMax). The surface
+// rows are those same rows in mono; the stereo layouts place each channel's active rows in a
+// band of their own (see frequencyBands()) with a flat divider between the two.
+let analysisRows = settings.pointsPerSlice; // rows per analysed spectrum
+let analysisActiveRows = 0;
+let analysisRowZ = new Float32Array(0); // single-channel Z per analysis row
+let analysisRowFrequencies = new Float32Array(0); // representative Hz per analysis row
+let rowBinStart = new Uint32Array(0); // first FFT bin aggregated into the row
+let rowBinEnd = new Uint32Array(0); // one past the last bin
+let rowCenterBin = new Float32Array(0); // fractional bin used when a row is narrower than a bin
+
+let activeRows = 0; // surface rows inside the active band
+let zRowPositions = new Float32Array(0); // Z per surface row
+let rowFrequencies = new Float32Array(0); // representative Hz per surface row (NaN on the divider)
+// Stereo only: which channel (-1 on the divider) and analysis row feed each surface row
+let stereoLayout = null; // { channel: Int8Array, row: Uint16Array }
+let rowFraction = null; // position of each surface row within its own channel, for coloring
+
+// Active analysis rows: the power layout collapses the rows above the active band
+function analysisActiveRowsFor(s) {
+  return s.frequencyScale === 'power' ? Math.max(2, Math.floor(s.pointsPerSlice * s.activeFrequencyFraction)) : s.pointsPerSlice;
+}
+
+function surfaceRowsFor(s) {
+  return s.channelMode === 'mono' ? s.pointsPerSlice : 2 * analysisActiveRowsFor(s) + stereoDividerRows;
+}
+
+// Z bands the channels occupy: z = start + (single-channel z - zMin) * scale. Mirrored layouts
+// flip the first band so both channels' low frequencies meet at the divider.
+function frequencyBands() {
+  if (settings.channelMode === 'mono') return [{ name: '', start: zMin, scale: 1 }];
+  const scale = (depth - stereoDividerWidth) / 2 / depth;
+  const names = settings.channelMode === 'midside' ? ['Mid', 'Side'] : ['Left', 'Right'];
+  const first = settings.channelMode === 'mirror'
+    ? { name: names[0], start: -stereoDividerWidth / 2, scale: -scale }
+    : { name: names[0], start: zMin, scale };
+  return [first, { name: names[1], start: stereoDividerWidth / 2, scale }];
+}
+
+function bandZ(band, z) {
+  return band.start + (z - zMin) * band.scale;
+}
+
+function computeFrequencyRows() {
+  analysisRows = settings.pointsPerSlice;
+  analysisRowZ = new Float32Array(analysisRows);
+  analysisRowFrequencies = new Float32Array(analysisRows);
+  rowBinStart = new Uint32Array(analysisRows);
+  rowBinEnd = new Uint32Array(analysisRows);
+  rowCenterBin = new Float32Array(analysisRows);
+  analysisActiveRows = analysisActiveRowsFor(settings);
+  const binHz = spectrumSampleRate / 2 / freqBinCount;
+
+  if (settings.frequencyScale === 'power') {
+    const sliceStride = Math.max(1, Math.floor(freqBinCount / analysisRows));
+    for (let z = 0; z < analysisRows; z++) {
+      if (z < analysisActiveRows) {
+        const t = z / (analysisActiveRows - 1);
+        const tExp = Math.pow(t, frequencyExponent);
+        analysisRowZ[z] = zMin + tExp * (zMax - zMin);
+      } else {
+        analysisRowZ[z] = zMax; // collapse unused high frequencies
+      }
+      const start = Math.min(freqBinCount - 1, z * sliceStride);
+      rowBinStart[z] = start;
+      rowBinEnd[z] = Math.min(freqBinCount, start + sliceStride);
+      rowCenterBin[z] = start;
+      analysisRowFrequencies[z] = start * binHz;
+    }
   } else {
-    zRowPositions[z] = zMax; // collapse unused high frequencies
+    const scale = frequencyScales[settings.frequencyScale];
+    const minHz = settings.frequencyScale === 'log' ? logScaleMinHz : 0;
+    const maxHz = Math.max(minHz + binHz, (spectrumSampleRate / 2) * activeFrequencyFraction);
+    const lo = scale.toScale(minHz);
+    const hi = scale.toScale(maxHz);
+    for (let z = 0; z < analysisRows; z++) {
+      analysisRowZ[z] = zMin + (z / (analysisRows - 1)) * (zMax - zMin);
+      const loHz = scale.fromScale(lo + ((hi - lo) * z) / analysisRows);
+      const hiHz = scale.fromScale(lo + ((hi - lo) * (z + 1)) / analysisRows);
+      const centerHz = scale.fromScale(lo + ((hi - lo) * (z + 0.5)) / analysisRows);
+      const start = Math.min(freqBinCount - 1, Math.max(0, Math.ceil(loHz / binHz)));
+      rowBinStart[z] = start;
+      rowBinEnd[z] = Math.min(freqBinCount, Math.max(start + 1, Math.ceil(hiHz / binHz)));
+      rowCenterBin[z] = Math.min(freqBinCount - 1, centerHz / binHz);
+      analysisRowFrequencies[z] = centerHz;
+    }
+  }
+  layoutSurfaceRows();
+}
+
+function layoutSurfaceRows() {
+  pointsPerSlice = surfaceRowsFor(settings);
+  if (settings.channelMode === 'mono') {
+    activeRows = analysisActiveRows;
+    zRowPositions = analysisRowZ;
+    rowFrequencies = analysisRowFrequencies;
+    stereoLayout = null;
+    rowFraction = null;
+    return;
+  }
+  activeRows = pointsPerSlice;
+  zRowPositions = new Float32Array(pointsPerSlice);
+  rowFrequencies = new Float32Array(pointsPerSlice);
+  rowFraction = new Float32Array(pointsPerSlice);
+  stereoLayout = { channel: new Int8Array(pointsPerSlice), row: new Uint16Array(pointsPerSlice) };
+  const n = analysisActiveRows;
+  let r = 0;
+  frequencyBands().forEach((band, channel) => {
+    // Divider rows sit evenly inside the gap, flat at zero amplitude
+    for (let d = 0; channel > 0 && d < stereoDividerRows; d++, r++) {
+      zRowPositions[r] = -stereoDividerWidth / 2 + (stereoDividerWidth * (d + 1)) / (stereoDividerRows + 1);
+      rowFrequencies[r] = NaN;
+      stereoLayout.channel[r] = -1;
+    }
+    // Surface rows run towards +Z, so a flipped band takes its rows from the top down
+    for (let k = 0; k < n; k++, r++) {
+      const j = band.scale < 0 ? n - 1 - k : k;
+      zRowPositions[r] = bandZ(band, analysisRowZ[j]);
+      rowFrequencies[r] = analysisRowFrequencies[j];
+      rowFraction[r] = j / (n - 1);
+      stereoLayout.channel[r] = channel;
+      stereoLayout.row[r] = j;
+    }
+  });
+}
+computeFrequencyRows();
+
+// Single-channel Z position for a frequency, interpolated between analysis rows; null outside
+// the active band. bandZ() places it in a stereo channel's band.
+function zForFrequency(hz) {
+  const rows = analysisActiveRows;
+  const freqs = analysisRowFrequencies;
+  if (rows < 2 || hz < freqs[0] || hz > freqs[rows - 1]) return null;
+  for (let z = 0; z < rows - 1; z++) {
+    const f0 = freqs[z];
+    const f1 = freqs[z + 1];
+    if (hz <= f1) {
+      const t = f1 > f0 ? (hz - f0) / (f1 - f0) : 0;
+      return analysisRowZ[z] + t * (analysisRowZ[z + 1] - analysisRowZ[z]);
+    }
   }
+  return analysisRowZ[rows - 1];
+}
+
+// Stereo channel name of a surface row: '' in mono and null on the divider
+function rowChannelName(row) {
+  if (!stereoLayout) return '';
+  const channel = stereoLayout.channel[row];
+  return channel < 0 ? null : frequencyBands()[channel].name;
 }
+
+// Keep row-to-bin mapping in step with the rate the spectrum was analysed at
+function setSpectrumSampleRate(rate) {
+  spectrumSampleRate = rate;
+  computeFrequencyRows();
+}
+
 // Apply Z coordinates for the current geometry based on zRowPositions
 function applyZRowsToGeometry(geo, columnCapacity) {
   const posAttr = geo.attributes.position;
@@ -148,9 +741,62 @@ applyZRowsToGeometry(geometry, capacity);
 // Maintain a continuous scroll by shifting historic columns left
 let isCapturing = false;
 let hasEnded = false;
+let liveInput = null; // active microphone/line capture: { stream, source, startTime, cleanup }
 const capturedSlices = []; // array of Float32Array(length: pointsPerSlice)
-const baseThickness = 4; // export base thickness (units ~ same as scene)
-const backThickness = 6; // small back slab thickness along -Z for printability
+// dB level per row behind each captured slice, so a change of the amplitude settings can
+// re-map the capture (see remapCapture()); null for slices loaded without levels
+const capturedLevels = [];
+const capturedTimes = []; // source time in seconds of each captured slice
+// Trim window (inclusive column indices) of the finished model; exports use only this range
+let trimStart = 0;
+let trimEnd = -1; // -1 follows the last captured slice
+let surfaceGeneration = 0; // bumped whenever the displayed surface is replaced
+// Bumped whenever the capture is cleared or playback starts, so an offline generation still
+// decoding or analysing drops its result instead of replacing the newer capture
+let offlineGeneration = 0;
+
+function clearCapture() {
+  offlineGeneration++;
+  capturedSlices.length = 0;
+  capturedLevels.length = 0;
+  capturedTimes.length = 0;
+  trimStart = 0;
+  trimEnd = -1;
+  syncTrimBar();
+}
+
+// Clamp the trim window to the capture, keeping at least two columns
+function selectedRange() {
+  const last = capturedSlices.length - 1;
+  const end = trimEnd < 0 ? last : Math.max(1, Math.min(trimEnd, last));
+  const start = Math.max(0, Math.min(trimStart, end - 1));
+  return { start, end };
+}
+
+// Slices inside the trim window copied into one packed (count x rows) buffer for the worker
+function packSelectedSlices() {
+  const { start, end } = selectedRange();
+  const count = end - start + 1;
+  const slices = new Float32Array(count * pointsPerSlice);
+  for (let i = 0; i < count; i++) slices.set(capturedSlices[start + i], i * pointsPerSlice);
+  return { slices, count, rows: pointsPerSlice };
+}
+
+// Packed slices plus their timestamps and the Hz of each row, as the data exports label them.
+// Stereo rows also carry their channel, and the divider rows are named as such.
+function packSelectedData() {
+  const { start, end } = selectedRange();
+  const labels = stereoLayout && Array.from(rowFrequencies, (hz, row) => {
+    const channel = rowChannelName(row);
+    return channel === null ? 'divider' : `${channel} ${hz.toFixed(2)}`;
+  });
+  return {
+    ...packSelectedSlices(),
+    times: Float64Array.from(capturedTimes.slice(start, end + 1)),
+    frequencies: rowFrequencies,
+    labels,
+  };
+}
 
 function expandGeometry(newCapacity) {
   const oldGeometry = geometry;
@@ -164,18 +810,13 @@ function expandGeometry(newCapacity) {
   let newColors = new Float32Array(newPos.count * 3);
   newGeo.setAttribute('color', new THREE.BufferAttribute(newColors, 3));
 
-  // Copy existing Y values and vertex colors into the new geometry
+  // Copy the filled columns of every row in one block; x and z match between the two grids
+  const filled = Math.min(currentSliceIndex, newCapacity) * 3;
   for (let z = 0; z < pointsPerSlice; z++) {
-    for (let x = 0; x < Math.min(currentSliceIndex, newCapacity); x++) {
-      const oldIdx = z * oldCapacity + x;
-      const newIdx = z * newCapacity + x;
-      newPos.setY(newIdx, oldPos.getY(oldIdx));
-      const oc = oldIdx * 3;
-      const nc = newIdx * 3;
-      newColors[nc + 0] = oldColors[oc + 0];
-      newColors[nc + 1] = oldColors[oc + 1];
-      newColors[nc + 2] = oldColors[oc + 2];
-    }
+    const oldStart = z * oldCapacity * 3;
+    const newStart = z * newCapacity * 3;
+    newPos.array.set(oldPos.array.subarray(oldStart, oldStart + filled), newStart);
+    newColors.set(oldColors.subarray(oldStart, oldStart + filled), newStart);
   }
   // Dispose old geometry to free GPU memory
   oldGeometry.dispose();
@@ -192,54 +833,546 @@ function expandGeometry(newCapacity) {
   buildAxesAndTicks();
 }
 
-function updateSurfaceFromFrequencies() {
-  analyser.getByteFrequencyData(freqData);
+// -------- Amplitude mapping --------
+// The per-row mapping itself lives in analysis.js; this bundles the page's current row layout
+// and amplitude settings for it.
+function sliceMapping() {
+  return {
+    rows: analysisRows,
+    binCount: freqBinCount,
+    rowBinStart,
+    rowBinEnd,
+    rowCenterBin,
+    amplitude: {
+      mode: settings.amplitudeMode,
+      minDb: settings.minDb,
+      maxDb: settings.maxDb,
+      gamma: settings.gamma,
+      noiseFloor,
+      analyserMinDb: analyser.minDecibels,
+      analyserMaxDb: analyser.maxDecibels,
+    },
+  };
+}
+
+// Height (0..1) of a dBFS level in dB mode, for axis ticks
+function amplitudeForDbfs(db) {
+  const unit = (db - settings.minDb) / (settings.maxDb - settings.minDb);
+  return Math.pow(Math.max(0, Math.min(1, unit)), settings.gamma);
+}
+
+// Inverse of amplitudeForDbfs for readouts
+function dbfsForAmplitude(amp) {
+  const unit = Math.pow(Math.max(0, Math.min(1, amp)), 1 / settings.gamma);
+  return settings.minDb + unit * (settings.maxDb - settings.minDb);
+}
 
-  // Normalize and map to 0..1 with a subtle curve
-  const newSlice = new Float32Array(pointsPerSlice);
-  for (let i = 0; i < pointsPerSlice; i++) {
-    const srcIndex = Math.min(freqBinCount - 1, i * sliceStride);
-    let bin = freqData[srcIndex] / 255;
-    if (bin < noiseFloor) bin = 0; // enforce zero floor everywhere during rebuilds
-    // Slight emphasis on mid-highs to echo the modem's chirps
-    const emphasized = Math.pow(bin, 1.2);
-    newSlice[i] = emphasized;
+// Current analyser spectrum as one surface slice plus the row levels it was mapped from, from
+// both channel analysers in stereo
+function readLiveSlice() {
+  const mapping = sliceMapping();
+  let levels;
+  if (!stereoLayout) {
+    analyser.getFloatFrequencyData(freqData);
+    levels = levelsFromDecibels(freqData, mapping);
+  } else {
+    const channelLevels = channelAnalysers.map((node, c) => {
+      node.getFloatFrequencyData(channelFreqData[c]);
+      return levelsFromDecibels(channelFreqData[c], mapping);
+    });
+    levels = combineChannelSlice(channelLevels, stereoLayout, undefined, silenceDb);
   }
+  return { slice: amplitudesFromLevels(levels, mapping.amplitude), levels };
+}
+
+function updateSurfaceFromFrequencies() {
+  const { slice: newSlice, levels } = readLiveSlice();
 
   // Persist the full-resolution slice for export later
-  if (isCapturing) {
+  if (isCapturing && (!ring || settings.waterfallRecord)) {
     capturedSlices.push(newSlice.slice());
+    capturedLevels.push(levels);
+    capturedTimes.push(currentSourceTime());
   }
+  if (ring) advanceRing(newSlice, levels, currentSourceTime());
+  else writeSliceToSurface(newSlice);
+}
 
+// Map every captured slice that kept its levels again with the current amplitude settings. The
+// slices are rewritten in place, so views into packed buffers stay valid.
+function remapCapture() {
+  const { amplitude } = sliceMapping();
+  capturedLevels.forEach((levels, i) => {
+    if (levels) amplitudesFromLevels(levels, amplitude, capturedSlices[i]);
+  });
+  if (ring) amplitudesFromLevels(ring.levels, amplitude, ring.slices);
+  if (comparison) amplitudesFromLevels(comparison.levels, amplitude, comparison.slices);
+}
+
+// Write one slice into the next free column of the live surface
+function writeSliceToSurface(newSlice) {
   // Grow geometry if needed
   if (currentSliceIndex >= capacity) {
     const nextCapacity = Math.ceil(capacity * 1.6);
     expandGeometry(nextCapacity);
   }
+  paintColumn(currentSliceIndex, newSlice);
+  currentSliceIndex++;
+}
 
-  // For each z-row (frequency), write this slice at the current column
+// For each z-row (frequency), write a slice's height and color at the given column
+function paintColumn(column, slice) {
+  const coloring = currentColoring();
   for (let z = 0; z < pointsPerSlice; z++) {
-    const vIndex = z * capacity + currentSliceIndex;
-    const y = newSlice[z] * depth * heightScale;
+    const vIndex = z * capacity + column;
+    const y = slice[z] * depth * heightScale;
     positionAttr.setY(vIndex, y);
-    const color = referenceColorRamp(newSlice[z]);
+    const color = colorForSample(slice[z], z, coloring);
     const cIdx = vIndex * 3;
     colors[cIdx + 0] = color.r;
     colors[cIdx + 1] = color.g;
     colors[cIdx + 2] = color.b;
   }
-
-  currentSliceIndex++;
   positionAttr.needsUpdate = true;
   geometry.attributes.color.needsUpdate = true;
+  markShapeDirty(column, column);
+}
+
+// -------- Waterfall ring buffer --------
+// The waterfall view keeps only the last few seconds on screen. Its grid is allocated once
+// and columns are overwritten round-robin at a steady rate of source time, so endless sources
+// never reallocate. Each written column takes the x of its absolute index, the mesh slides
+// left to keep the newest column at the right edge, and the quads joining the newest column
+// to the oldest are collapsed to hide the wrap.
+// ring: { columns, written, origin, startTime, seam, slices, levels } where `written` counts
+// every column ever written, `origin` is the absolute index at local x = 0, `seam` the collapsed
+// strip, and `slices` and `levels` the amplitudes and row levels by physical column
+// (columns x rows).
+const waterfallSlicesPerSecond = offlineSlicesPerSecond;
+
+function waterfallColumns() {
+  return Math.round(settings.waterfallSeconds * waterfallSlicesPerSecond) + 1;
+}
+
+// Source time of absolute ring column k
+function ringColumnTime(k) {
+  return ring.startTime + k / waterfallSlicesPerSecond;
+}
+
+// Plane grid plus the quads that close it from the last column back to the first
+function createRingGeometry(columns) {
+  const g = createSurfaceGeometry(columns);
+  const index = new Uint32Array(columns * (pointsPerSlice - 1) * 6);
+  for (let strip = 0; strip < columns - 1; strip++) setRingStrip(index, columns, strip, true);
+  setRingStrip(index, columns, columns - 1, false);
+  g.setIndex(new THREE.BufferAttribute(index, 1));
+  return g;
+}
+
+// Open (two triangles per row, wound like PlaneGeometry) or collapse the quads between
+// physical column `strip` and the one after it
+function setRingStrip(index, columns, strip, open) {
+  const next = (strip + 1) % columns;
+  for (let z = 0; z < pointsPerSlice - 1; z++) {
+    const o = (z * columns + strip) * 6;
+    if (!open) {
+      index.fill(0, o, o + 6);
+      continue;
+    }
+    const a = z * columns + strip;
+    const b = z * columns + next;
+    index[o] = a;
+    index[o + 1] = a + columns;
+    index[o + 2] = b;
+    index[o + 3] = a + columns;
+    index[o + 4] = b + columns;
+    index[o + 5] = b;
+  }
+}
+
+// Write the slice into every ring column that has come due by source time `seconds`
+function advanceRing(slice, levels, seconds) {
+  if (ring.written === 0) ring.startTime = seconds;
+  let due = Math.floor((seconds - ring.startTime) * waterfallSlicesPerSecond) + 1 - ring.written;
+  if (due < 0 || due > waterfallSlicesPerSecond / 4) {
+    // Source jumped or the tab stalled: restart the column clock at this slice
+    ring.startTime = seconds - ring.written / waterfallSlicesPerSecond;
+    due = 1;
+  }
+  for (let i = 0; i < due; i++) writeRingColumn(slice, levels);
+}
+
+function writeRingColumn(slice, levels) {
+  const { columns } = ring;
+  if (ring.written - ring.origin >= 2 * columns) rebaseRing();
+  const column = ring.written % columns;
+  const x = (ring.written - ring.origin) * sliceSpacing;
+  for (let z = 0; z < pointsPerSlice; z++) positionAttr.setX(z * columns + column, x);
+  ring.slices.set(slice, column * pointsPerSlice);
+  ring.levels.set(levels, column * pointsPerSlice);
+  paintColumn(column, slice);
+  ring.written++;
+
+  const seam = Math.max(ring.written - 1, columns - 1) % columns;
+  if (seam !== ring.seam) {
+    setRingStrip(geometry.index.array, columns, ring.seam, true);
+    setRingStrip(geometry.index.array, columns, seam, false);
+    ring.seam = seam;
+    geometry.index.needsUpdate = true;
+  }
+  currentSliceIndex = Math.min(ring.written, columns);
+  surface.position.x = Math.min(0, columns - ring.written + ring.origin) * sliceSpacing;
+}
+
+// Move every column one lap to the left so local x stays small however long the source runs
+function rebaseRing() {
+  const shift = ring.columns * sliceSpacing;
+  const pos = positionAttr.array;
+  for (let i = 0; i < pos.length; i += 3) pos[i] -= shift;
+  ring.origin += ring.columns;
+}
+
+// Rewrite the newest columns of a previous ring into the current one, e.g. after a display
+// setting or the window length changed
+function replayRing(previous) {
+  const visible = Math.min(previous.written, previous.columns, ring.columns);
+  const first = previous.written - visible;
+  ring.written = first;
+  ring.origin = first;
+  ring.startTime = previous.startTime;
+  for (let k = first; k < previous.written; k++) {
+    const from = (k % previous.columns) * pointsPerSlice;
+    const to = from + pointsPerSlice;
+    writeRingColumn(previous.slices.subarray(from, to), previous.levels.subarray(from, to));
+  }
+}
+
+// Copy the visible window, oldest first, into the capture so it can be finished and exported
+function captureRingWindow() {
+  clearCapture();
+  const visible = Math.min(ring.written, ring.columns);
+  for (let k = ring.written - visible; k < ring.written; k++) {
+    const from = (k % ring.columns) * pointsPerSlice;
+    capturedSlices.push(ring.slices.slice(from, from + pointsPerSlice));
+    capturedLevels.push(ring.levels.slice(from, from + pointsPerSlice));
+    capturedTimes.push(ringColumnTime(k));
+  }
+}
+
+// -------- Model shapes --------
+// Wrapped shapes bend the time axis around the vertical axis (see createShapeMapping() in
+// meshing.js). The flat surface keeps doing all the bookkeeping, hidden; a second mesh shares
+// its colors and triangles and takes positions mapped from its world coordinates before each
+// frame. Only the columns painted since the last frame are mapped again, unless the flat
+// surface was replaced or slid along x.
+const shapedSurface = new THREE.Mesh(new THREE.BufferGeometry(), material);
+shapedSurface.visible = false;
+shapedSurface.frustumCulled = false;
+scene.add(shapedSurface);
+let shapeSource = null; // { geometry, offsetX, key } the shaped mesh was last mapped from
+let shapeDirtyFrom = Infinity; // range of columns painted since the last sync
+let shapeDirtyTo = -Infinity;
+
+function markShapeDirty(from = 0, to = Infinity) {
+  shapeDirtyFrom = Math.min(shapeDirtyFrom, from);
+  shapeDirtyTo = Math.max(shapeDirtyTo, to);
+}
+
+// The live mapping spans the surface's full column capacity, as wide as the slab would be
+function liveShapeMapping() {
+  const columns = surfaceColumns();
+  return createShapeMapping(settings.modelShape, {
+    count: columns,
+    length: (columns - 1) * sliceSpacing,
+    turns: settings.spiralTurns,
+    pitch: depth * heightScale * 1.25, // room for full relief between turns
+  });
+}
+
+// Index of a plane grid plus the quads joining its last column back to the first, wound like
+// PlaneGeometry
+function seamClosedIndex(index, columns) {
+  const out = new Uint32Array(index.count + (pointsPerSlice - 1) * 6);
+  out.set(index.array);
+  let o = index.count;
+  for (let z = 0; z < pointsPerSlice - 1; z++) {
+    const a = z * columns + columns - 1;
+    const b = z * columns;
+    out.set([a, a + columns, b, a + columns, b + columns, b], o);
+    o += 6;
+  }
+  return new THREE.BufferAttribute(out, 1);
+}
+
+function syncShapedSurface() {
+  const shaped = settings.modelShape !== 'flat';
+  surface.visible = !shaped && !differenceShown();
+  shapedSurface.visible = shaped;
+  if (!shaped) {
+    shapeSource = null;
+    return;
+  }
+  const flat = surface.geometry;
+  const columns = surfaceColumns();
+  const mapping = liveShapeMapping();
+  const key = `${settings.modelShape}:${settings.spiralTurns}:${heightScale}`;
+  if (!shapeSource || shapeSource.geometry !== flat || shapeSource.key !== key) {
+    const count = flat.attributes.position.count;
+    const g = new THREE.BufferGeometry();
+    g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    g.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    g.setAttribute('color', flat.attributes.color);
+    // The waterfall ring keeps its own seam between the newest and the oldest column
+    g.setIndex(mapping.closed && !ring ? seamClosedIndex(flat.index, columns) : flat.index);
+    shapedSurface.geometry.dispose();
+    shapedSurface.geometry = g;
+    shapeSource = { geometry: flat, offsetX: NaN, key };
+  }
+  if (shapeSource.offsetX !== surface.position.x) {
+    shapeSource.offsetX = surface.position.x;
+    markShapeDirty();
+  }
+  if (shapeDirtyFrom > shapeDirtyTo) return;
+
+  const from = Math.max(0, shapeDirtyFrom);
+  const to = Math.min(columns - 1, shapeDirtyTo);
+  shapeDirtyFrom = Infinity;
+  shapeDirtyTo = -Infinity;
+  const flatPos = flat.attributes.position.array;
+  const pos = shapedSurface.geometry.attributes.position;
+  const normal = shapedSurface.geometry.attributes.normal;
+  for (let column = from; column <= to; column++) {
+    // World x, so the waterfall's sliding window wraps the same way the growing surface does
+    const theta = mapping.angleAt((flatPos[column * 3] + surface.position.x) / sliceSpacing);
+    const radius = mapping.radiusAt(theta);
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    for (let z = 0; z < pointsPerSlice; z++) {
+      const i3 = (z * columns + column) * 3;
+      const reach = radius + flatPos[i3 + 1];
+      pos.array[i3] = reach * cos;
+      pos.array[i3 + 1] = flatPos[i3 + 2] - zMin; // low frequencies at the bottom
+      pos.array[i3 + 2] = reach * sin;
+      normal.array[i3] = cos;
+      normal.array[i3 + 1] = 0;
+      normal.array[i3 + 2] = sin;
+    }
+  }
+  pos.needsUpdate = true;
+  normal.needsUpdate = true;
+  shapedSurface.geometry.boundingSphere = null; // recomputed when picking needs it
+}
+
+// Looks at a wrapped model from above and to the side, far enough out to see all of it
+function shapedModelPose() {
+  const reach = liveShapeMapping().maxRadius + depth * heightScale;
+  return { position: [reach * 1.3, depth / 2 + reach * 1.1, reach * 1.3], target: [0, depth / 2, 0] };
+}
+
+function frameShapedModel() {
+  applyCameraPose(shapedModelPose());
+}
+
+// -------- Comparison --------
+// A second source (say a V.34 and a V.90 handshake, or two captures of one line) analysed with
+// the same settings and laid against the finished capture: beside it, as a translucent ghost
+// over it, or replaced by the signed difference capture minus comparison in a diverging ramp.
+// The comparison follows the trim window and is shifted in time by the compareOffset setting,
+// set by hand or by cross-correlating the two sources' levels (see compare.js). Live captures
+// and wrapped shapes show the capture alone.
+const comparisonGap = 6; // z gap between the capture and the comparison side by side
+const differenceColorRamp = rampFromHex(['#2166ac', '#67a9cf', '#f7f7f7', '#ef8a62', '#b2182b']);
+let comparison = null; // { name, audioBuffer, slices, times, count, rows } of the second source
+let comparisonGeneration = 0; // bumped whenever the comparison surface is replaced or hidden
+
+const comparisonMaterial = new THREE.MeshLambertMaterial({
+  side: THREE.DoubleSide,
+  vertexColors: true,
+  emissive: new THREE.Color(0x0),
+  // Keeps a ghost lying on the capture from flickering where both are flat
+  polygonOffset: true,
+  polygonOffsetFactor: -1,
+  polygonOffsetUnits: -1,
+});
+const comparisonSurface = new THREE.Mesh(new THREE.BufferGeometry(), comparisonMaterial);
+comparisonSurface.visible = false;
+scene.add(comparisonSurface);
+
+function differenceShown() {
+  return comparisonSurface.visible && settings.compareMode === 'difference';
+}
+
+async function loadComparison(file) {
+  const audioBuffer = await decodeAtOfflineRate(await file.arrayBuffer());
+  const analysed = await analyseAudioBuffer(audioBuffer);
+  comparison = { name: file.name, audioBuffer, ...analysed, rows: pointsPerSlice };
+  syncComparisonBar();
+  await updateComparisonSurface();
+}
+
+// Settings that change what a slice means need the comparison analysed again
+async function reanalyseComparison() {
+  const pending = comparison;
+  try {
+    const analysed = await analyseAudioBuffer(pending.audioBuffer);
+    if (comparison !== pending) return;
+    comparison = { ...pending, ...analysed, rows: pointsPerSlice };
+    await updateComparisonSurface();
+  } catch (err) {
+    reportError('Could not analyse the comparison source', err);
+  }
+}
+
+function removeComparison() {
+  comparison = null;
+  hideComparisonSurface();
+  syncComparisonBar();
+}
+
+function hideComparisonSurface() {
+  comparisonGeneration++;
+  comparisonSurface.visible = false;
+}
+
+// For updates nobody waits on: a failed rebuild hides the comparison rather than leaving a
+// stale one on screen
+function updateComparisonSurfaceInBackground() {
+  updateComparisonSurface().catch((err) => {
+    reportError('Could not build the comparison surface', err);
+    hideComparisonSurface();
+  });
+}
+
+// Rebuild the comparison surface on the finished capture's grid, column for column
+async function updateComparisonSurface() {
+  const generation = ++comparisonGeneration;
+  const { start, end } = selectedRange();
+  const count = end - start + 1;
+  const shown = comparison && hasEnded && capturedSlices.length >= 2 && settings.modelShape === 'flat'
+    && comparison.rows === pointsPerSlice
+    // A finished surface still being computed calls back here once it is in place
+    && surface.geometry.attributes.position.count === count * pointsPerSlice;
+  if (!shown) {
+    comparisonSurface.visible = false;
+    return;
+  }
+  const { slices: captured, rows } = packSelectedSlices();
+  const aligned = alignedSlices(comparison, capturedTimes.slice(start, end + 1), settings.compareOffset);
+  const mode = settings.compareMode;
+  const { heights, colors: col } = await runPipeline('surface', {
+    slices: mode === 'difference' ? differenceSlices(captured, aligned) : aligned,
+    count,
+    rows,
+    yScale: depth * heightScale,
+    coloring: mode === 'difference' ? { ramp: differenceColorRamp, colorBy: 'difference' } : currentColoring(),
+  });
+  if (generation !== comparisonGeneration) return;
+
+  // Same x and z as the capture's grid; only heights and colors differ
+  const geo = surface.geometry.clone();
+  const pos = geo.attributes.position;
+  for (let idx = 0; idx < heights.length; idx++) pos.array[idx * 3 + 1] = heights[idx];
+  geo.setAttribute('color', new THREE.BufferAttribute(col, 3));
+  geo.computeVertexNormals();
+  comparisonSurface.geometry.dispose();
+  comparisonSurface.geometry = geo;
+
+  // Side by side the comparison sits behind the capture; the ghost is a pale, uncolored shell
+  const span = zRowPositions[pointsPerSlice - 1] - zRowPositions[0];
+  comparisonSurface.position.z = mode === 'side' ? -(span + comparisonGap) : 0;
+  comparisonMaterial.vertexColors = mode !== 'overlay';
+  comparisonMaterial.color.set(mode === 'overlay' ? 0xe0f2fe : 0xffffff);
+  comparisonMaterial.transparent = mode === 'overlay';
+  comparisonMaterial.opacity = mode === 'overlay' ? 0.45 : 1;
+  comparisonMaterial.depthWrite = mode !== 'overlay';
+  comparisonMaterial.needsUpdate = true;
+  comparisonSurface.visible = true;
+}
+
+async function autoAlignComparison() {
+  if (!comparison || capturedSlices.length < 2) return;
+  const { start, end } = selectedRange();
+  const { slices, times, count, rows } = comparison; // the decoded audio cannot go to the worker
+  const { offset } = await runPipeline('align', {
+    reference: { ...packSelectedSlices(), times: Float64Array.from(capturedTimes.slice(start, end + 1)) },
+    other: { slices, times, count, rows },
+  });
+  applySettings({ compareOffset: Math.round(offset * 100) / 100 });
+}
+
+// Name, offset slider and readout of the comparison bar; the slider spans both sources
+function syncComparisonBar() {
+  if (!compareBar) return;
+  compareBar.classList.toggle('hidden', !comparison);
+  if (!comparison) return;
+  if (compareName) compareName.textContent = comparison.name;
+  if (compareOffsetInput) {
+    const capturedSpan = capturedTimes.length ? capturedTimes[capturedTimes.length - 1] : 0;
+    const reach = Math.ceil(Math.max(capturedSpan, comparison.times[comparison.count - 1] || 0, 1));
+    compareOffsetInput.min = String(-reach);
+    compareOffsetInput.max = String(reach);
+    compareOffsetInput.value = String(settings.compareOffset);
+  }
+  if (compareOffsetLabel) compareOffsetLabel.textContent = formatOffset(settings.compareOffset);
+}
+
+function formatOffset(seconds) {
+  return `${seconds >= 0 ? '+' : '−'}${Math.abs(seconds).toFixed(2)} s`;
 }
 
-// Color ramp designed to match the reference look:
-// - Lower amplitude → warm reds/oranges/yellows
-// - Higher amplitude → cool cyans/blues
-function referenceColorRamp(t) {
-  const v = Math.min(1, Math.max(0, t));
-  const ramp = [
+if (compareBtn && compareFileInput) {
+  compareBtn.addEventListener('click', () => compareFileInput.click());
+  compareFileInput.addEventListener('change', async () => {
+    const file = compareFileInput.files && compareFileInput.files[0];
+    compareFileInput.value = '';
+    if (!file) return;
+    compareBtn.disabled = true;
+    try {
+      await loadComparison(file);
+    } catch (err) {
+      reportError(`Could not load ${file.name} for comparison`, err);
+    } finally {
+      compareBtn.disabled = false;
+    }
+  });
+}
+if (compareOffsetInput && compareOffsetLabel) {
+  // The readout follows the drag; the surface updates on release
+  compareOffsetInput.addEventListener('input', () => {
+    compareOffsetLabel.textContent = formatOffset(Number(compareOffsetInput.value));
+  });
+}
+if (autoAlignBtn) {
+  autoAlignBtn.addEventListener('click', async () => {
+    autoAlignBtn.disabled = true;
+    try {
+      await autoAlignComparison();
+    } catch (err) {
+      reportError('Automatic alignment failed', err);
+    } finally {
+      autoAlignBtn.disabled = false;
+    }
+  });
+}
+if (removeCompareBtn) removeCompareBtn.addEventListener('click', removeComparison);
+
+// -------- Color maps --------
+// Ramps are lists of { s, c } stops with linear RGB interpolation in between. Values are
+// written straight into the vertex color attribute, like the original reference ramp.
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+function rampFromHex(hexColors) {
+  return hexColors.map((hex, i) => ({ s: i / (hexColors.length - 1), c: hexToRgb(hex) }));
+}
+
+const colorMaps = {
+  // Color ramp designed to match the reference look:
+  // - Lower amplitude → warm reds/oranges/yellows
+  // - Higher amplitude → cool cyans/blues
+  reference: [
     { s: 0.00, c: [0.55, 0.00, 0.00] }, // deep red
     { s: 0.15, c: [1.00, 0.13, 0.00] }, // red-orange
     { s: 0.30, c: [1.00, 0.75, 0.00] }, // amber
@@ -247,23 +1380,28 @@ function referenceColorRamp(t) {
     { s: 0.65, c: [0.12, 0.86, 1.00] }, // cyan
     { s: 0.82, c: [0.00, 0.46, 1.00] }, // blue
     { s: 1.00, c: [0.00, 0.12, 0.70] }, // deep blue
-  ];
-
-  // Find segment
-  for (let i = 0; i < ramp.length - 1; i++) {
-    const a = ramp[i];
-    const b = ramp[i + 1];
-    if (v >= a.s && v <= b.s) {
-      const t01 = (v - a.s) / (b.s - a.s);
-      return {
-        r: a.c[0] + (b.c[0] - a.c[0]) * t01,
-        g: a.c[1] + (b.c[1] - a.c[1]) * t01,
-        b: a.c[2] + (b.c[2] - a.c[2]) * t01,
-      };
-    }
+  ],
+  // Perceptually uniform matplotlib ramps, sampled at nine points
+  viridis: rampFromHex(['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725']),
+  magma: rampFromHex(['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8861', '#fec287', '#fcfdbf']),
+  inferno: rampFromHex(['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98c0a', '#f9c932', '#fcffa4']),
+  grayscale: [
+    { s: 0, c: [0.08, 0.08, 0.08] },
+    { s: 1, c: [1, 1, 1] },
+  ],
+};
+
+function activeColorRamp() {
+  if (settings.colorMap === 'custom') {
+    return settings.customColorStops.map(({ s, color }) => ({ s, c: hexToRgb(color) }));
   }
-  const last = ramp[ramp.length - 1].c;
-  return { r: last[0], g: last[1], b: last[2] };
+  return colorMaps[settings.colorMap] || colorMaps.reference;
+}
+let currentColorRamp = activeColorRamp(); // refreshed by applySettings()
+
+// Coloring options for colorForSample() in meshing.js
+function currentColoring() {
+  return { ramp: currentColorRamp, colorBy: settings.colorBy, activeRows, rowFraction };
 }
 
 // -------- Minimal tick marks (Frequency and Amplitude) --------
@@ -340,6 +1478,15 @@ function formatHzLabel(hz) {
   return `${Math.round(hz)}`;
 }
 
+// Round dB steps between min and max, at most ~6 ticks
+function dbfsTickValues(minDb, maxDb) {
+  const range = maxDb - minDb;
+  const step = [3, 5, 10, 20, 30, 40, 50].find((s) => range / s <= 6) || 60;
+  const ticks = [];
+  for (let db = Math.ceil(minDb / step) * step; db <= maxDb + 1e-6; db += step) ticks.push(db);
+  return ticks;
+}
+
 function buildAxesAndTicks() {
   clearAxesGroup();
 
@@ -365,37 +1512,49 @@ function buildAxesAndTicks() {
   ]);
   axesGroup.add(new THREE.Line(zAxisGeometry, lineMaterial));
 
-  // Frequency tick marks and labels
-  const nyquistHz = audioContext.sampleRate / 2;
+  // Frequency tick marks and labels, once per channel band in the stereo layouts
+  const nyquistHz = spectrumSampleRate / 2;
   const desiredFreqHz = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 15000];
   const freqTickPoints = [];
-  for (const hz of desiredFreqHz) {
-    if (hz <= 0 || hz > nyquistHz) continue;
-    // Convert target Hz -> downsampled row index -> Z position
-    const binIndex = (hz / nyquistHz) * freqBinCount; // 0..freqBinCount
-    const rowIndex = Math.round(binIndex / sliceStride);
-    if (rowIndex < 0 || rowIndex >= activeRows) continue; // only in active band
-    const zAtRow = zRowPositions[rowIndex];
-    freqTickPoints.push(new THREE.Vector3(axisX - 1.0, 0, zAtRow));
-    freqTickPoints.push(new THREE.Vector3(axisX, 0, zAtRow));
-
-    const label = createTextSprite(formatHzLabel(hz), { worldHeight: 5 });
-    label.position.set(axisX - 1.25, 0.01, zAtRow);
-    // Anchor so text sits to the left of the tick (right-aligned)
-    label.center.set(1, 0.5);
-    label.renderOrder = 2;
-    axesGroup.add(label);
+  for (const band of frequencyBands()) {
+    for (const hz of desiredFreqHz) {
+      if (hz <= 0 || hz > nyquistHz) continue;
+      // Same row mapping as the surface, so ticks sit on the rows that hold this frequency
+      const channelZ = zForFrequency(hz);
+      if (channelZ === null) continue; // only in active band
+      const zAtRow = bandZ(band, channelZ);
+      freqTickPoints.push(new THREE.Vector3(axisX - 1.0, 0, zAtRow));
+      freqTickPoints.push(new THREE.Vector3(axisX, 0, zAtRow));
+
+      const label = createTextSprite(formatHzLabel(hz), { worldHeight: 5 });
+      label.position.set(axisX - 1.25, 0.01, zAtRow);
+      // Anchor so text sits to the left of the tick (right-aligned)
+      label.center.set(1, 0.5);
+      label.renderOrder = 2;
+      axesGroup.add(label);
+    }
+    if (!band.name) continue;
+    // Channel name floats over the middle of its band, left of the surface
+    const nameLabel = createTextSprite(band.name, { worldHeight: 5.5 });
+    nameLabel.position.set(axisX - 1.25, amplitudeMaxY / 2, bandZ(band, (zMin + zMax) / 2));
+    nameLabel.center.set(1, 0.5);
+    nameLabel.renderOrder = 2;
+    axesGroup.add(nameLabel);
   }
   if (freqTickPoints.length) {
     const freqTicksGeometry = new THREE.BufferGeometry().setFromPoints(freqTickPoints);
     axesGroup.add(new THREE.LineSegments(freqTicksGeometry, lineMaterial));
   }
 
-  // Amplitude tick marks and labels (approximate dB scale 0..80)
-  const amplitudeDbTicks = [0, 20, 40, 60, 80];
+  // Amplitude tick marks and labels: true dBFS levels in dB mode,
+  // otherwise the approximate 0..80 dB scale of the classic curve
+  const calibrated = settings.amplitudeMode === 'db';
+  const amplitudeDbTicks = calibrated ? dbfsTickValues(settings.minDb, settings.maxDb) : [0, 20, 40, 60, 80];
   const ampTickPoints = [];
   for (const db of amplitudeDbTicks) {
-    const unit = Math.max(0, Math.min(1, db / 80));
+    const unit = calibrated
+      ? amplitudeForDbfs(db)
+      : Math.max(0, Math.min(1, db / 80));
     const yAtDb = unit * amplitudeMaxY;
     ampTickPoints.push(new THREE.Vector3(axisX - 1.2, yAtDb, backZ));
     ampTickPoints.push(new THREE.Vector3(axisX, yAtDb, backZ));
@@ -419,19 +1578,179 @@ function buildAxesAndTicks() {
   freqTitle.renderOrder = 2;
   axesGroup.add(freqTitle);
 
-  const ampTitle = createTextSprite('Amplitude (dB)', { worldHeight: 5.5 });
+  const ampTitle = createTextSprite(calibrated ? 'Amplitude (dBFS)' : 'Amplitude (dB)', { worldHeight: 5.5 });
   ampTitle.position.set(axisX - 3.2, amplitudeMaxY, backZ);
   ampTitle.center.set(0.5, 0);
   ampTitle.renderOrder = 2;
   axesGroup.add(ampTitle);
 }
 
+// -------- Time axis and playhead --------
+// Second/minute ticks along the front edge, placed from the capture timestamps so they
+// stay correct regardless of frame rate or offline hop size. Rebuilt only when the set
+// of ticks changes; the axis line itself just stretches every frame.
+const timeAxisGroup = new THREE.Group();
+scene.add(timeAxisGroup);
+const timeAxisZ = zMax + 2; // just in front of the surface's high-frequency edge
+const timeAxisLineMaterial = new THREE.LineBasicMaterial({ color: 0x9ca3af });
+const timeAxisLine = new THREE.Line(new THREE.BufferGeometry().setFromPoints([
+  new THREE.Vector3(0, 0, timeAxisZ),
+  new THREE.Vector3(0, 0, timeAxisZ),
+]), timeAxisLineMaterial);
+scene.add(timeAxisLine);
+let timeAxisSignature = '';
+
+// Fractional column index for a source time, assuming timestamps increase with index
+function columnForTime(times, seconds) {
+  if (times.length === 0) return 0;
+  if (seconds <= times[0]) return 0;
+  if (seconds >= times[times.length - 1]) return times.length - 1;
+  let lo = 0;
+  let hi = times.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= seconds) lo = mid; else hi = mid;
+  }
+  const span = times[hi] - times[lo];
+  return lo + (span > 0 ? (seconds - times[lo]) / span : 0);
+}
+
+function timeTickStep(duration) {
+  const steps = [0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600];
+  return steps.find((step) => duration / step <= 10) || 3600;
+}
+
+// Rounds to the step before splitting off the minutes, so the seconds never read 60
+function formatTimeLabel(seconds, step) {
+  const decimals = step < 1 ? 1 : 0;
+  const total = Math.round(seconds / step) * step;
+  if (step >= 60 || total >= 60) {
+    const minutes = Math.floor(total / 60);
+    const rest = (total - minutes * 60).toFixed(decimals);
+    return `${minutes}:${rest.padStart(decimals ? 4 : 2, '0')}`;
+  }
+  return `${total.toFixed(decimals)}s`;
+}
+
+// Time span shown on the surface and where a source time lands along it. The growing and
+// finished surfaces place times through capturedTimes; the waterfall ring advances at a fixed
+// rate, so its times map linearly onto the ring's local x, which the mesh offset then slides.
+function timeAxisWindow() {
+  if (ring) {
+    const columns = Math.min(ring.written, ring.columns);
+    return {
+      columns,
+      start: columns ? ringColumnTime(ring.written - columns) : 0,
+      end: columns ? ringColumnTime(ring.written - 1) : 0,
+      offsetX: surface.position.x,
+      key: `ring:${ring.origin}`,
+      xForSeconds: (seconds) => ((seconds - ring.startTime) * waterfallSlicesPerSecond - ring.origin) * sliceSpacing,
+    };
+  }
+  const range = selectedRange();
+  const columns = capturedTimes.length ? range.end - range.start + 1 : 0;
+  return {
+    columns,
+    start: columns ? capturedTimes[range.start] : 0,
+    end: columns ? capturedTimes[range.end] : 0,
+    offsetX: 0,
+    key: String(range.start),
+    xForSeconds: (seconds) => (columnForTime(capturedTimes, seconds) - range.start) * sliceSpacing,
+  };
+}
+
+function updateTimeAxis() {
+  const { columns, start, end, offsetX, key, xForSeconds } = timeAxisWindow();
+  const startX = columns ? xForSeconds(start) : 0;
+  const endX = columns ? xForSeconds(end) : 0;
+  const linePos = timeAxisLine.geometry.attributes.position;
+  linePos.setX(0, startX + offsetX);
+  linePos.setX(1, endX + offsetX);
+  linePos.needsUpdate = true;
+  timeAxisLine.visible = timeAxisGroup.visible && columns > 1;
+  timeAxisGroup.position.x = offsetX;
+
+  const step = timeTickStep(end - start);
+  const firstTick = Math.ceil(start / step);
+  const lastTick = Math.floor(end / step);
+  const signature = columns > 1 ? `${step}:${firstTick}:${lastTick}:${sliceSpacing}:${key}` : '';
+  if (signature === timeAxisSignature) return;
+  timeAxisSignature = signature;
+
+  while (timeAxisGroup.children.length) disposeObjectRecursive(timeAxisGroup.children.pop());
+  if (!signature) return;
+
+  const tickPoints = [];
+  for (let k = firstTick; k <= lastTick; k++) {
+    const seconds = k * step;
+    const x = xForSeconds(seconds);
+    tickPoints.push(new THREE.Vector3(x, 0, timeAxisZ));
+    tickPoints.push(new THREE.Vector3(x, 0, timeAxisZ + 1.2));
+
+    const label = createTextSprite(formatTimeLabel(seconds, step), { worldHeight: 4 });
+    label.position.set(x, 0.01, timeAxisZ + 1.5);
+    label.center.set(0.5, 1);
+    label.renderOrder = 2;
+    timeAxisGroup.add(label);
+  }
+  if (tickPoints.length) {
+    const ticksGeometry = new THREE.BufferGeometry().setFromPoints(tickPoints);
+    timeAxisGroup.add(new THREE.LineSegments(ticksGeometry, timeAxisLineMaterial));
+  }
+  const title = createTextSprite('Time', { worldHeight: 5.5 });
+  title.position.set(endX + 3, 0.01, timeAxisZ + 1.5);
+  title.center.set(0, 1);
+  title.renderOrder = 2;
+  timeAxisGroup.add(title);
+}
+
+// Translucent vertical plane across the frequency axis marking the current audio position:
+// the newest column while capturing, or the matching column when replaying a finished model
+const playhead = new THREE.Mesh(
+  new THREE.PlaneGeometry(1, 1).rotateY(Math.PI / 2).translate(0, 0.5, 0),
+  new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.18,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+  })
+);
+playhead.visible = false;
+scene.add(playhead);
+
+// Surface column under the audio position: the newest column while capturing, or the matching
+// column when replaying a finished model; null when nothing is playing over the surface
+function playheadColumn() {
+  if (!((!audioEl.paused || liveInput) && capturedTimes.length > 0)) return null;
+  if (!hasEnded) return Math.max(0, currentSliceIndex - 1);
+  // Replaying a trimmed model: only inside the kept window
+  const { start, end } = selectedRange();
+  const seconds = audioEl.currentTime;
+  if (seconds < capturedTimes[start] || seconds > capturedTimes[end]) return null;
+  return columnForTime(capturedTimes, seconds) - start;
+}
+
+function updatePlayhead() {
+  // The playhead plane cuts across the flat slab only
+  const column = settings.modelShape === 'flat' ? playheadColumn() : null;
+  playhead.visible = column !== null;
+  if (column === null) return;
+  playhead.position.set(column * sliceSpacing, 0, 0);
+  playhead.scale.set(1, depth * heightScale * 1.05, depth);
+}
+
 // Build initial axes now that geometry mapping is known
 buildAxesAndTicks();
 
 // Place the camera so the view centers between the axes (left) and the surface (center),
 // backed up and slightly orbiting to the right similar to the reference angle.
 function positionCameraOverview() {
+  if (settings.modelShape !== 'flat') {
+    frameShapedModel();
+    controls.saveState && controls.saveState();
+    return;
+  }
   // Axes are on the left near x=0; model grows to the right.
   const targetX = (0 + sliceSpacing * 40) / 2; // slight bias into the surface
   const targetY = depth * heightScale * 0.35;
@@ -452,45 +1771,518 @@ function positionCameraOverview() {
 
 positionCameraOverview();
 
+// Start in the waterfall ring when that view was saved
+if (settings.viewMode === 'waterfall') recreateSurfaceGeometry(numSlicesInitial);
 // Ensure the surface is visible before audio plays
 resetVisualization();
 
 // Zooms out to fit the full model width while preserving the current angle.
 function frameWholeModel() {
+  applyCameraPose(wholeModelPose());
+}
+
+function wholeModelPose() {
+  if (settings.modelShape !== 'flat') return shapedModelPose();
   const slices = Math.max(currentSliceIndex, capturedSlices.length);
   const totalWidth = Math.max(1, slices - 1) * sliceSpacing;
   const targetX = totalWidth * 0.55; // bias a bit into the model
   const targetY = depth * heightScale * 0.35;
   const targetZ = 0;
-  controls.target.set(targetX, targetY, targetZ);
 
   const amplitudeMaxY = depth * heightScale;
   const dz = Math.max(sliceSpacing * 300, totalWidth * 1.1);
   const dx = sliceSpacing * 140; // small right offset
   const dy = amplitudeMaxY * 1.7;
-  camera.position.set(targetX + dx, targetY + dy, targetZ + dz);
-  controls.update();
+  return {
+    position: [targetX + dx, targetY + dy, targetZ + dz],
+    target: [targetX, targetY, targetZ],
+  };
 }
 
-// -------- Animation loop --------
-let isRendering = true;
-function animate() {
-  if (!isRendering) return;
-  requestAnimationFrame(animate);
-  if (!audioEl.paused && !hasEnded) {
-    updateSurfaceFromFrequencies();
+// -------- Time markers --------
+// Labelled flags at source times ("dial tone", "answer tone", "training"), standing behind the
+// surface's low-frequency edge with their labels built like the axis labels. Markers belong to
+// the capture: sessions save them, a new source clears them, and exports can engrave or
+// emboss them as notches on the front plate (see buildSolid()). Wrapped shapes leave them out.
+const markerGroup = new THREE.Group();
+scene.add(markerGroup);
+const markerLineMaterial = new THREE.LineBasicMaterial({ color: 0xfbbf24 });
+let captureMarkers = []; // [{ time, label }] in time order
+
+function sanitizeMarkers(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((marker) => marker && Number.isFinite(marker.time) && typeof marker.label === 'string')
+    .map((marker) => ({ time: Math.max(0, marker.time), label: marker.label.trim().slice(0, 40) || 'Marker' }))
+    .sort((a, b) => a.time - b.time);
+}
+
+function setMarkers(list) {
+  captureMarkers = sanitizeMarkers(list);
+  while (markerGroup.children.length) disposeObjectRecursive(markerGroup.children.pop());
+  for (const marker of captureMarkers) {
+    // A pole one unit tall, stretched to the relief height by updateMarkers()
+    const pole = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 1, 0)]),
+      markerLineMaterial
+    );
+    const label = createTextSprite(marker.label, { worldHeight: 5, textColor: '#fde68a' });
+    label.center.set(0, 0);
+    label.renderOrder = 2;
+    const flag = new THREE.Group();
+    flag.add(pole, label);
+    flag.userData.time = marker.time;
+    markerGroup.add(flag);
   }
-  controls.update();
-  renderer.render(scene, camera);
+  syncMarkerList();
+  updateExportSummary();
 }
-animate();
 
-// -------- Events --------
-let didSetInitialView = false;
-function resize() {
+function addMarker(time, label) {
+  setMarkers([...captureMarkers, { time, label }]);
+}
+
+// Flags follow the time axis, so they sit right on the growing, finished and waterfall views
+function updateMarkers() {
+  const { columns, start, end, offsetX, xForSeconds } = timeAxisWindow();
+  markerGroup.visible = settings.modelShape === 'flat' && columns > 1;
+  if (!markerGroup.visible) return;
+  const poleHeight = depth * heightScale * 1.15;
+  const backZ = zRowPositions[0] - 1.5;
+  for (const flag of markerGroup.children) {
+    const { time } = flag.userData;
+    flag.visible = time >= start && time <= end;
+    if (!flag.visible) continue;
+    flag.position.set(xForSeconds(time) + offsetX, 0, backZ);
+    flag.children[0].scale.y = poleHeight;
+    flag.children[1].position.y = poleHeight;
+  }
+}
+
+// Markers inside the trim window at their fraction of the exported width, for the print plate
+function exportMarkers() {
+  const { start, end } = selectedRange();
+  if (settings.markerPlate === 'none' || end <= start) return [];
+  return captureMarkers
+    .filter((marker) => marker.time >= capturedTimes[start] && marker.time <= capturedTimes[end])
+    .map((marker) => ({
+      at: (columnForTime(capturedTimes, marker.time) - start) / (end - start),
+      label: marker.label,
+    }));
+}
+
+// Marker chips: click one to jump there on a finished model, or remove it
+function syncMarkerList() {
+  if (!markerList) return;
+  markerList.replaceChildren(...captureMarkers.map((marker, index) => {
+    const chip = document.createElement('span');
+    chip.className = 'inline-flex items-center rounded bg-zinc-800 border border-zinc-700';
+    const go = document.createElement('button');
+    go.textContent = `${marker.label} · ${formatTimeLabel(marker.time, 0.5)}`;
+    go.title = 'Jump to this marker';
+    go.className = 'px-2 py-0.5 text-zinc-100 hover:text-white';
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.title = 'Remove marker';
+    remove.className = 'px-1.5 py-0.5 text-zinc-400 hover:text-white';
+    go.addEventListener('click', () => {
+      if (hasEnded && hasSourceAudio()) audioEl.currentTime = marker.time;
+    });
+    remove.addEventListener('click', () => setMarkers(captureMarkers.filter((_, i) => i !== index)));
+    chip.append(go, remove);
+    return chip;
+  }));
+}
+
+if (addMarkerBtn) {
+  addMarkerBtn.addEventListener('click', () => {
+    if (!capturedTimes.length && !ring) return;
+    addMarker(currentSourceTime(), markerLabelInput ? markerLabelInput.value : '');
+    if (markerLabelInput) markerLabelInput.value = '';
+  });
+}
+
+// -------- Picking: hover readout and click-to-seek --------
+// Raycast against the surface and resolve the hit to the nearest grid vertex. Surface
+// geometries are plane grids laid out row by row (one row per frequency), so the vertex
+// index gives the slice column and frequency row directly.
+const raycaster = new THREE.Raycaster();
+const pointerNdc = new THREE.Vector2();
+let pendingHover = null; // last pointer event awaiting a raycast on the next frame
+let pointerDownAt = null;
+
+function surfaceColumns() {
+  return surface.geometry.parameters ? surface.geometry.parameters.widthSegments + 1 : capacity;
+}
+
+function pickSurfaceSample(clientX, clientY) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointerNdc.set(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointerNdc, camera);
+  // Wrapped shapes and the difference surface are picked on their own meshes, which share the
+  // flat surface's vertex layout
+  const shaped = shapedSurface.visible;
+  const target = shaped ? shapedSurface : (differenceShown() ? comparisonSurface : surface);
+  // The live surface changes every frame, so its bounds must be refreshed before testing
+  if (!hasEnded && !shaped) surface.geometry.computeBoundingSphere();
+  const hit = raycaster.intersectObject(target, false)[0];
+  if (!hit || !hit.face) return null;
+
+  const pos = target.geometry.attributes.position;
+  const local = target.worldToLocal(hit.point.clone());
+  let nearest = hit.face.a;
+  let nearestDist = Infinity;
+  for (const idx of [hit.face.a, hit.face.b, hit.face.c]) {
+    const dx = pos.getX(idx) - local.x;
+    const dy = shaped ? pos.getY(idx) - local.y : 0;
+    const dz = pos.getZ(idx) - local.z;
+    const dist = dx * dx + dy * dy + dz * dz;
+    if (dist < nearestDist) {
+      nearestDist = dist;
+      nearest = idx;
+    }
+  }
+  const columns = surfaceColumns();
+  if (ring) {
+    // Resolve the physical ring column to the newest absolute column stored there
+    const physical = nearest % columns;
+    const k = ring.written - 1 - ((((ring.written - 1 - physical) % columns) + columns) % columns);
+    const ringRow = Math.floor(nearest / columns);
+    if (k < 0 || ringRow >= pointsPerSlice || rowChannelName(ringRow) === null) return null;
+    return {
+      column: k,
+      row: ringRow,
+      channel: rowChannelName(ringRow),
+      time: ringColumnTime(k),
+      hz: rowFrequencies[ringRow],
+      amplitude: ring.slices[physical * pointsPerSlice + ringRow],
+    };
+  }
+  // The finished surface starts at the trim window, the live one at the first slice
+  const column = nearest % columns + (hasEnded ? selectedRange().start : 0);
+  const row = Math.floor(nearest / columns);
+  if (column >= capturedSlices.length || row >= pointsPerSlice || rowChannelName(row) === null) return null;
+  return {
+    column,
+    row,
+    channel: rowChannelName(row),
+    time: capturedTimes[column],
+    hz: rowFrequencies[row],
+    amplitude: capturedSlices[column][row],
+  };
+}
+
+function formatAmplitudeReadout(amp) {
+  if (settings.amplitudeMode === 'db') {
+    return `${dbfsForAmplitude(amp).toFixed(1)} dBFS`;
+  }
+  // Undo the classic curve back to the analyser's dB range for a rough level
+  const unit = Math.pow(Math.max(0, amp), 1 / 1.2);
+  const db = analyser.minDecibels + unit * (analyser.maxDecibels - analyser.minDecibels);
+  return `${amp.toFixed(2)} (≈ ${db.toFixed(0)} dB)`;
+}
+
+function updateHoverReadout() {
+  if (!pendingHover || !hoverReadout) return;
+  const { clientX, clientY } = pendingHover;
+  pendingHover = null;
+  const sample = pickSurfaceSample(clientX, clientY);
+  if (!sample) {
+    hoverReadout.classList.add('hidden');
+    return;
+  }
+  hoverReadout.textContent = [
+    sample.channel && `Channel ${sample.channel}`,
+    `Time ${sample.time.toFixed(2)} s`,
+    `Frequency ${Math.round(sample.hz)} Hz`,
+    `Amplitude ${formatAmplitudeReadout(sample.amplitude)}`,
+  ].filter(Boolean).join('\n');
+  const rect = container.getBoundingClientRect();
+  hoverReadout.style.left = `${clientX - rect.left + 14}px`;
+  hoverReadout.style.top = `${clientY - rect.top + 14}px`;
+  hoverReadout.classList.remove('hidden');
+}
+
+renderer.domElement.addEventListener('pointermove', (e) => {
+  pendingHover = { clientX: e.clientX, clientY: e.clientY };
+});
+renderer.domElement.addEventListener('pointerleave', () => {
+  pendingHover = null;
+  if (hoverReadout) hoverReadout.classList.add('hidden');
+});
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  pointerDownAt = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+});
+// A left click without dragging seeks the audio to the clicked slice. Only once the
+// capture has finished, so seeking cannot scramble the slices being recorded. A shift-click
+// drops a time marker there instead, also while capturing.
+renderer.domElement.addEventListener('pointerup', async (e) => {
+  const down = pointerDownAt;
+  pointerDownAt = null;
+  if (!down || e.button !== 0 || !(hasEnded || e.shiftKey)) return;
+  if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return; // orbit drag
+  const sample = pickSurfaceSample(e.clientX, e.clientY);
+  if (!sample) return;
+  if (e.shiftKey) {
+    addMarker(sample.time, markerLabelInput ? markerLabelInput.value : '');
+    return;
+  }
+  if (!hasSourceAudio()) return;
+  audioEl.currentTime = sample.time;
+  if (audioEl.paused) {
+    if (audioContext.state === 'suspended') await audioContext.resume();
+    try { await audioEl.play(); } catch (err) { /* ignore */ }
+  }
+});
+
+// -------- Camera bookmarks and paths --------
+// Bookmarks are named camera poses, kept per browser like the settings. A camera path steers
+// the view every frame while the source plays (or while previewing it): it follows the
+// playhead, orbits the model, looks straight down, or tours the bookmarks in order with one
+// easing per leg. Path time is the source time, so replaying a file repeats the same moves.
+// Dragging the view hands the camera back until the path starts again.
+const cameraBookmarksStorageKey = 'dialup_visualizer.cameraBookmarks';
+const cameraFollowRate = 4; // 1/s; how quickly the camera catches up with a moving pose
+let cameraBookmarks = loadCameraBookmarks();
+let cameraFlight = null; // { from, to, startedAt } while flying to a bookmark
+let cameraPreviewStart = null; // performance.now() when a preview without playback began
+let cameraPathHeld = false; // the user took over the view
+let cameraPathMode = settings.cameraPath;
+let lastCameraFrame = performance.now();
+
+function loadCameraBookmarks() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(cameraBookmarksStorageKey));
+    if (!Array.isArray(raw)) return [];
+    return raw
+      .filter((b) => b && typeof b.name === 'string' && isVector3Array(b.position) && isVector3Array(b.target))
+      .map((b) => ({ name: b.name.slice(0, 40), position: b.position, target: b.target }));
+  } catch {
+    return [];
+  }
+}
+
+function saveCameraBookmarks() {
+  try { localStorage.setItem(cameraBookmarksStorageKey, JSON.stringify(cameraBookmarks)); } catch { }
+}
+
+function currentCameraPose() {
+  return { position: camera.position.toArray(), target: controls.target.toArray() };
+}
+
+function applyCameraPose(pose) {
+  camera.position.fromArray(pose.position);
+  controls.target.fromArray(pose.target);
+  controls.update();
+}
+
+// Saving under an existing name replaces that bookmark in place
+function saveCameraBookmark(name) {
+  const label = name.trim().slice(0, 40) || `View ${cameraBookmarks.length + 1}`;
+  const bookmark = { name: label, ...currentCameraPose() };
+  const index = cameraBookmarks.findIndex((b) => b.name === label);
+  if (index >= 0) cameraBookmarks[index] = bookmark;
+  else cameraBookmarks.push(bookmark);
+  saveCameraBookmarks();
+  syncCameraPanel();
+}
+
+function flyToBookmark(bookmark) {
+  cameraFlight = { from: currentCameraPose(), to: bookmark, startedAt: performance.now() };
+}
+
+// Camera trailing the newest (or replayed) column, from the same angle as the opening view
+function followPose() {
+  const live = playheadColumn();
+  const column = live === null ? Math.max(0, currentSliceIndex - 1) : live;
+  if (settings.modelShape !== 'flat') {
+    const mapping = liveShapeMapping();
+    const theta = mapping.angleAt(column);
+    const reach = mapping.radiusAt(theta) + depth * heightScale;
+    const [x, , z] = mapping.place(column, 0, 0);
+    const back = reach + depth * 1.5;
+    return {
+      position: [Math.cos(theta) * back, depth * 1.2, Math.sin(theta) * back],
+      target: [x, depth / 2, z],
+    };
+  }
+  const targetX = column * sliceSpacing;
+  const targetY = depth * heightScale * 0.35;
+  return {
+    position: [targetX + sliceSpacing * 120, targetY + depth * heightScale * 1.6, sliceSpacing * 300],
+    target: [targetX, targetY, 0],
+  };
+}
+
+// Straight down onto the middle of the model, far enough up to fit it in the frame
+function topDownPose() {
+  let center = [0, 0, 0];
+  let width = 2 * (liveShapeMapping().maxRadius + depth * heightScale);
+  let length = width;
+  let top = depth;
+  if (settings.modelShape === 'flat') {
+    const slices = Math.max(currentSliceIndex, capturedSlices.length);
+    width = Math.max(1, slices - 1) * sliceSpacing;
+    length = depth;
+    center = [width / 2, 0, 0];
+    top = depth * heightScale;
+  }
+  const tan = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+  const height = top + 1.1 * Math.max(length / 2 / tan, width / 2 / (tan * camera.aspect));
+  // A touch of z keeps OrbitControls from looking exactly along its up axis
+  return { position: [center[0], height, center[2] + height * 1e-3], target: center };
+}
+
+function cameraPathPose(seconds) {
+  switch (settings.cameraPath) {
+    case 'follow': return followPose();
+    case 'orbit': return orbitPose(wholeModelPose(), (2 * Math.PI * seconds) / settings.orbitSeconds);
+    case 'topdown': return topDownPose();
+    case 'tour': return samplePath(cameraBookmarks, seconds, {
+      legSeconds: settings.cameraLegSeconds,
+      easing: settings.cameraEasing,
+    });
+    default: return null;
+  }
+}
+
+function cameraPathRunning() {
+  return settings.cameraPath !== 'manual' && !cameraPathHeld
+    && (cameraPreviewStart !== null || !audioEl.paused || Boolean(liveInput));
+}
+
+// Called every frame before controls.update(); eases toward the flight or path pose
+function updateCameraPath() {
+  const now = performance.now();
+  const dt = Math.min(0.25, (now - lastCameraFrame) / 1000);
+  lastCameraFrame = now;
+  if (cameraPathMode !== settings.cameraPath) {
+    cameraPathMode = settings.cameraPath;
+    cameraPathHeld = false;
+  }
+
+  if (cameraFlight) {
+    const t = Math.min(1, (now - cameraFlight.startedAt) / (settings.cameraLegSeconds * 1000));
+    const ease = easings[settings.cameraEasing];
+    applyCameraPose(interpolatePose(cameraFlight.from, cameraFlight.to, ease(t)));
+    if (t >= 1) cameraFlight = null;
+    return;
+  }
+  if (!cameraPathRunning()) return;
+  const seconds = cameraPreviewStart !== null ? (now - cameraPreviewStart) / 1000 : currentSourceTime();
+  const pose = cameraPathPose(seconds);
+  if (!pose) return;
+  if (settings.cameraPath === 'tour') {
+    // Keyframed legs are already eased; follow them exactly
+    applyCameraPose(pose);
+    return;
+  }
+  applyCameraPose(interpolatePose(currentCameraPose(), pose, 1 - Math.exp(-cameraFollowRate * dt)));
+}
+
+function setCameraPreview(active) {
+  cameraPreviewStart = active ? performance.now() : null;
+  if (active) cameraPathHeld = false;
+  if (previewPathBtn) previewPathBtn.textContent = active ? 'Stop Preview' : 'Preview Path';
+}
+
+// Bookmark list: click a name to fly there; bookmarks tour in list order
+function syncCameraPanel() {
+  if (!cameraBookmarkList) return;
+  cameraBookmarkList.replaceChildren(...cameraBookmarks.map((bookmark, index) => {
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-2';
+    const go = document.createElement('button');
+    go.textContent = bookmark.name;
+    go.title = 'Fly to this view';
+    go.className = 'flex-1 min-w-0 truncate text-left px-2 py-1 rounded bg-zinc-800 hover:bg-zinc-700 text-white';
+    const up = document.createElement('button');
+    up.textContent = 'Up';
+    up.disabled = index === 0;
+    up.className = 'px-2 py-1 rounded bg-zinc-700 hover:bg-zinc-600 disabled:opacity-40 text-white';
+    const remove = document.createElement('button');
+    remove.textContent = 'Delete';
+    remove.className = 'px-2 py-1 rounded bg-zinc-700 hover:bg-zinc-600 text-white';
+
+    go.addEventListener('click', () => flyToBookmark(bookmark));
+    up.addEventListener('click', () => {
+      cameraBookmarks.splice(index - 1, 2, bookmark, cameraBookmarks[index - 1]);
+      saveCameraBookmarks();
+      syncCameraPanel();
+    });
+    remove.addEventListener('click', () => {
+      cameraBookmarks.splice(index, 1);
+      saveCameraBookmarks();
+      syncCameraPanel();
+    });
+    row.append(go, up, remove);
+    return row;
+  }));
+  if (!cameraBookmarks.length) {
+    const empty = document.createElement('div');
+    empty.className = 'text-zinc-500';
+    empty.textContent = 'No bookmarks yet';
+    cameraBookmarkList.append(empty);
+  }
+}
+
+// Any drag, zoom or pan cancels a flight and hands the view back to the user
+controls.addEventListener('start', () => {
+  cameraFlight = null;
+  if (cameraPathRunning()) cameraPathHeld = true;
+  if (cameraPreviewStart !== null) setCameraPreview(false);
+});
+audioEl.addEventListener('play', () => { cameraPathHeld = false; });
+
+if (cameraBtn && cameraPanel) {
+  cameraBtn.addEventListener('click', () => cameraPanel.classList.toggle('hidden'));
+}
+if (saveBookmarkBtn) {
+  saveBookmarkBtn.addEventListener('click', () => {
+    saveCameraBookmark(cameraBookmarkName ? cameraBookmarkName.value : '');
+    if (cameraBookmarkName) cameraBookmarkName.value = '';
+  });
+}
+if (previewPathBtn) {
+  previewPathBtn.addEventListener('click', () => setCameraPreview(cameraPreviewStart === null));
+}
+syncCameraPanel();
+
+// -------- Animation loop --------
+let isRendering = true;
+function animate() {
+  if (!isRendering) return;
+  requestAnimationFrame(animate);
+  if ((!audioEl.paused || liveInput) && !hasEnded) {
+    updateSurfaceFromFrequencies();
+  }
+  syncShapedSurface();
+  updateTimeAxis();
+  updatePlayhead();
+  updateMarkers();
+  updateHoverReadout();
+  updateCameraPath();
+  controls.update();
+  renderer.render(scene, camera);
+}
+animate();
+
+// -------- Events --------
+let didSetInitialView = false;
+function resize() {
   const { clientWidth, clientHeight } = container;
-  renderer.setSize(clientWidth, clientHeight);
-  camera.aspect = clientWidth / clientHeight;
+  if (videoRecording) {
+    // A recording keeps drawing at its fixed frame size; the page only scales the canvas
+    const [width, height] = videoRecording.size;
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+  } else {
+    renderer.setSize(clientWidth, clientHeight);
+    camera.aspect = clientWidth / clientHeight;
+  }
   camera.updateProjectionMatrix();
   // Ensure the camera is set to the intended overview once after layout is known
   if (!didSetInitialView && typeof positionCameraOverview === 'function') {
@@ -505,12 +2297,16 @@ resize();
 let axesVisible = true;
 function setAxesVisibility(visible) {
   axesVisible = visible;
-  axesGroup.visible = visible;
+  // The axes measure the flat slab, so wrapped shapes go without them
+  const shown = visible && settings.modelShape === 'flat';
+  axesGroup.visible = shown;
+  timeAxisGroup.visible = shown;
   if (toggleAxesBtn) toggleAxesBtn.textContent = visible ? 'Hide Axes' : 'Show Axes';
 }
 if (toggleAxesBtn) {
   toggleAxesBtn.addEventListener('click', () => setAxesVisibility(!axesVisible));
 }
+setAxesVisibility(axesVisible);
 
 function setPlayButtonState(isPlaying) {
   if (isPlaying) {
@@ -525,11 +2321,13 @@ function setPlayButtonState(isPlaying) {
 }
 
 function setExportAvailability(enabled) {
+  if (saveSessionBtn) saveSessionBtn.disabled = !enabled;
   if (!exportBtn) return;
   exportBtn.disabled = !enabled;
 }
 
 playBtn.addEventListener('click', async () => {
+  if (liveInput) stopLiveInput();
   if (audioEl.paused) {
     if (audioContext.state === 'suspended') await audioContext.resume();
     try { await audioEl.play(); } catch (e) { /* ignore */ }
@@ -544,6 +2342,7 @@ playBtn.addEventListener('click', async () => {
 });
 
 resetBtn.addEventListener('click', () => {
+  if (liveInput) stopLiveInput({ finalize: false });
   audioEl.pause();
   audioEl.currentTime = 0;
   // Ensure browser seeks to start for both default and uploaded sources
@@ -553,7 +2352,7 @@ resetBtn.addEventListener('click', () => {
   setPlayButtonState(false);
   hasEnded = false;
   isCapturing = false;
-  capturedSlices.length = 0;
+  clearCapture();
   hardResetVisualization();
   setExportAvailability(false);
 });
@@ -561,12 +2360,16 @@ resetBtn.addEventListener('click', () => {
 fileInput.addEventListener('change', async (e) => {
   const file = e.target.files && e.target.files[0];
   if (!file) return;
+  if (liveInput) stopLiveInput({ finalize: false });
   const url = URL.createObjectURL(file);
+  sourceName = file.name;
+  sourceHash = undefined;
+  setMarkers([]);
   audioEl.src = url;
   // Fresh start for a newly uploaded file
   hasEnded = false;
   isCapturing = false;
-  capturedSlices.length = 0;
+  clearCapture();
   hardResetVisualization();
   flushAnalyser();
   try { audioEl.currentTime = 0; audioEl.load(); } catch { }
@@ -582,12 +2385,16 @@ window.addEventListener('drop', (e) => {
   e.preventDefault();
   const file = e.dataTransfer.files && e.dataTransfer.files[0];
   if (!file) return;
+  if (liveInput) stopLiveInput({ finalize: false });
   const url = URL.createObjectURL(file);
+  sourceName = file.name;
+  sourceHash = undefined;
+  setMarkers([]);
   audioEl.src = url;
   // Fresh start for a newly dropped file
   hasEnded = false;
   isCapturing = false;
-  capturedSlices.length = 0;
+  clearCapture();
   hardResetVisualization();
   flushAnalyser();
   try { audioEl.currentTime = 0; audioEl.load(); } catch { }
@@ -596,8 +2403,157 @@ window.addEventListener('drop', (e) => {
   setExportAvailability(false);
 });
 
+// -------- Live input --------
+// Captures a microphone or other input device through the same analyser and slice
+// pipeline as file playback. Any MediaStream works, so tests can pass a synthetic one;
+// adding ?fakeInput=1 to the URL offers a built-in test signal in the device list.
+const fakeInputDeviceId = 'fake-input';
+
+// Source time of the slice being captured right now
+function currentSourceTime() {
+  return liveInput ? audioContext.currentTime - liveInput.startTime : audioEl.currentTime;
+}
+
+// Warbling two-tone test signal routed into a MediaStream instead of the speakers
+function createFakeInputStream() {
+  const destination = audioContext.createMediaStreamDestination();
+  const carrier = audioContext.createOscillator();
+  carrier.frequency.value = 1200;
+  const sweep = audioContext.createOscillator();
+  sweep.frequency.value = 0.5;
+  const sweepDepth = audioContext.createGain();
+  sweepDepth.gain.value = 800;
+  const level = audioContext.createGain();
+  level.gain.value = 0.3;
+  sweep.connect(sweepDepth);
+  sweepDepth.connect(carrier.frequency);
+  carrier.connect(level);
+  level.connect(destination);
+  carrier.start();
+  sweep.start();
+  const cleanup = () => {
+    carrier.stop();
+    sweep.stop();
+    level.disconnect();
+  };
+  return { stream: destination.stream, cleanup };
+}
+
+async function openInputStream(deviceId) {
+  if (deviceId === fakeInputDeviceId) return createFakeInputStream();
+  // Browser voice processing would reshape the spectrum, so ask for the raw signal
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: {
+      deviceId: deviceId ? { exact: deviceId } : undefined,
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false,
+    },
+  });
+  return { stream, cleanup: null };
+}
+
+function startLiveInput(stream, { name = 'live-input', cleanup = null } = {}) {
+  if (liveInput) stopLiveInput({ finalize: false });
+  audioEl.pause();
+  setPlayButtonState(false);
+  hasEnded = false;
+  clearCapture();
+  hardResetVisualization();
+  flushAnalyser();
+
+  const source = audioContext.createMediaStreamSource(stream);
+  source.connect(analyser);
+  source.connect(stereoInput);
+  outputGain.gain.value = 0;
+  liveInput = { stream, source, startTime: audioContext.currentTime, cleanup };
+  sourceName = name;
+  sourceHash = null;
+  setMarkers([]);
+  isCapturing = true;
+  cameraPathHeld = false;
+  setLiveButtonState(true);
+  setExportAvailability(true);
+}
+
+function stopLiveInput({ finalize = true } = {}) {
+  if (!liveInput) return;
+  const { stream, source, cleanup } = liveInput;
+  liveInput = null;
+  source.disconnect();
+  for (const track of stream.getTracks()) track.stop();
+  if (cleanup) cleanup();
+  outputGain.gain.value = 1;
+  isCapturing = false;
+  setLiveButtonState(false);
+  if (finalize) {
+    hasEnded = true;
+    finalizeModelGeometryInBackground();
+    frameWholeModel();
+  }
+}
+
+function setLiveButtonState(isRecording) {
+  if (!liveBtn) return;
+  liveBtn.textContent = isRecording ? 'Stop Input' : 'Record Input';
+  liveBtn.classList.toggle('bg-rose-600', !isRecording);
+  liveBtn.classList.toggle('hover:bg-rose-500', !isRecording);
+  liveBtn.classList.toggle('bg-yellow-500', isRecording);
+  liveBtn.classList.toggle('hover:bg-yellow-400', isRecording);
+}
+
+async function refreshInputDevices() {
+  if (!inputDeviceSelect) return;
+  const previous = inputDeviceSelect.value;
+  const options = [{ value: '', label: 'Default input' }];
+  if (navigator.mediaDevices && navigator.mediaDevices.enumerateDevices) {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    let unnamed = 0;
+    for (const device of devices) {
+      if (device.kind !== 'audioinput' || device.deviceId === 'default' || !device.deviceId) continue;
+      // Labels stay empty until the user has granted microphone access once
+      options.push({ value: device.deviceId, label: device.label || `Input ${++unnamed}` });
+    }
+  }
+  if (new URLSearchParams(window.location.search).has('fakeInput')) {
+    options.push({ value: fakeInputDeviceId, label: 'Test signal (fake input)' });
+  }
+  inputDeviceSelect.replaceChildren(...options.map(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }));
+  if (options.some((o) => o.value === previous)) inputDeviceSelect.value = previous;
+}
+
+if (liveBtn) {
+  liveBtn.addEventListener('click', async () => {
+    if (liveInput) {
+      stopLiveInput();
+      return;
+    }
+    const deviceId = inputDeviceSelect ? inputDeviceSelect.value : '';
+    try {
+      if (audioContext.state === 'suspended') await audioContext.resume();
+      const { stream, cleanup } = await openInputStream(deviceId);
+      const track = stream.getAudioTracks()[0];
+      startLiveInput(stream, { name: (track && track.label) || 'live-input', cleanup });
+      // Device labels become available after the first permission grant
+      refreshInputDevices().catch(() => { });
+    } catch (err) {
+      reportError('Could not open audio input', err);
+    }
+  });
+}
+if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+  navigator.mediaDevices.addEventListener('devicechange', () => refreshInputDevices().catch(() => { }));
+}
+refreshInputDevices().catch(() => { });
+
 // Auto-start visualization when audio starts
 audioEl.addEventListener('play', () => {
+  offlineGeneration++;
   if (audioContext.state === 'suspended') audioContext.resume();
   setPlayButtonState(true);
   // Enable export once at least one slice lands
@@ -605,69 +2561,214 @@ audioEl.addEventListener('play', () => {
 });
 
 audioEl.addEventListener('ended', () => {
+  // Replaying a finished model (e.g. after click-to-seek) should not re-frame the camera
+  const wasCapturing = !hasEnded;
   hasEnded = true;
   isCapturing = false;
-  finalizeModelGeometry();
-  // back the camera up a bit so the entire model is in view
-  frameWholeModel();
+  if (wasCapturing) {
+    finalizeModelGeometryInBackground();
+    // back the camera up a bit so the entire model is in view
+    frameWholeModel();
+  }
   setPlayButtonState(false);
 });
 
+if (generateBtn) {
+  generateBtn.addEventListener('click', async () => {
+    generateBtn.disabled = true;
+    generateBtn.textContent = 'Generating…';
+    try {
+      await generateOffline();
+    } catch (err) {
+      reportError('Offline generation failed', err);
+    } finally {
+      generateBtn.disabled = false;
+      generateBtn.textContent = 'Generate Instantly';
+    }
+  });
+}
+
+// Export opens the print dialog; the download starts from its confirm button
+const dataExportFormats = ['csv', 'npy', 'png']; // raw samples rather than a mesh
+let exportSolid = null; // solid previewed in the export dialog, reused for the download
+let exportSummaryGeneration = 0; // drops triangle counts that arrive after the options changed
+
 exportBtn.addEventListener('click', () => {
   if (capturedSlices.length < 2) {
     // If user exports early, synthesize from current displayed geometry
     // by sampling visible vertices so export always works
     synthesizeCapturedFromSurface();
   }
-  const { objText, mtlText } = buildOBJFromCaptured();
-  downloadTextAsFile('dialup_spectrogram.mtl', mtlText);
-  downloadTextAsFile('dialup_spectrogram.obj', objText);
+  if (!exportDialog) {
+    runExport();
+    return;
+  }
+  exportDialog.classList.remove('hidden');
+  updateExportSummary();
 });
+if (exportFormatSelect) exportFormatSelect.addEventListener('change', updateExportSummary);
+if (exportCancelBtn && exportDialog) {
+  exportCancelBtn.addEventListener('click', () => {
+    exportDialog.classList.add('hidden');
+    exportSummaryGeneration++;
+    exportSolid = null;
+  });
+}
+if (exportConfirmBtn && exportDialog) {
+  exportConfirmBtn.addEventListener('click', async () => {
+    exportDialog.classList.add('hidden');
+    exportSummaryGeneration++;
+    const solid = exportSolid;
+    exportSolid = null;
+    await runExport(solid);
+  });
+}
+
+// Printed size of the solid with the current options. While the dialog is open the solid is
+// rebuilt so the simplified triangle count is known before downloading.
+function updateExportSummary() {
+  if (!exportSummary) return;
+  // Data exports write the samples as they are, so the print options don't apply
+  const dataFormat = Boolean(exportFormatSelect) && dataExportFormats.includes(exportFormatSelect.value);
+  if (exportPrintOptions) exportPrintOptions.classList.toggle('hidden', dataFormat);
+  if (dataFormat) {
+    exportSummaryGeneration++;
+    exportSolid = null;
+    const { start, end } = selectedRange();
+    exportSummary.textContent = capturedSlices.length >= 2
+      ? `${end - start + 1} time slices × ${pointsPerSlice} frequency rows`
+      : '';
+    return;
+  }
+  const wrapped = settings.modelShape !== 'flat';
+  if (exportTitleOptions) exportTitleOptions.classList.toggle('hidden', wrapped);
+  const plate = settings.titlePlate !== 'none' || exportMarkers().length > 0;
+  const footprintDepth = settings.printDepth + (plate ? titlePlateDepth : 0);
+  const height = settings.printBaseThickness
+    + settings.printDepth * heightScale * settings.printZScale;
+  let summary = `${settings.printWidth} × ${footprintDepth} mm footprint, `
+    + `up to ${height.toFixed(1)} mm tall`;
+  if (wrapped) {
+    const print = printDimensions();
+    const across = 2 * (printShapeMapping(print, Math.max(2, capturedSlices.length)).maxRadius + print.relief);
+    summary = `${settings.modelShape[0].toUpperCase()}${settings.modelShape.slice(1)} up to `
+      + `${across.toFixed(1)} mm across, ${settings.printDepth} mm tall`;
+  }
+  exportSummary.textContent = summary;
+  if (!exportDialog || exportDialog.classList.contains('hidden') || capturedSlices.length < 2) return;
+
+  const generation = ++exportSummaryGeneration;
+  exportSolid = null;
+  exportSummary.textContent = `${summary}, counting triangles…`;
+  buildSolidFromCaptured().then((solid) => {
+    if (generation !== exportSummaryGeneration) return;
+    exportSolid = solid;
+    exportSummary.textContent = `${summary}, ${(solid.indices.length / 3).toLocaleString()} triangles`;
+  }).catch((err) => reportError('Could not build the mesh preview', err));
+}
+
+async function runExport(solid = null) {
+  const format = exportFormatSelect ? exportFormatSelect.value : 'obj';
+  const onProgress = (fraction) => setExportProgress(fraction, `Writing ${format.toUpperCase()}…`);
+  exportBtn.disabled = true;
+  try {
+    if (dataExportFormats.includes(format)) {
+      onProgress(0);
+      const { blob } = await runPipeline('data', { format, ...packSelectedData() }, { onProgress });
+      downloadBlobAsFile(`dialup_spectrogram.${format}`, blob);
+      return;
+    }
+    if (!solid) {
+      setExportProgress(0, 'Building mesh…');
+      solid = await buildSolidFromCaptured();
+    }
+    onProgress(0);
+    if (format === 'glb') {
+      const includeBase = Boolean(exportBaseToggle && exportBaseToggle.checked);
+      downloadBlobAsFile('dialup_spectrogram.glb', await buildGLBFromCaptured({ includeBase, solid }));
+      return;
+    }
+    const { blob, mtlText } = await runPipeline('write', { format, solid }, { onProgress });
+    if (mtlText) downloadTextAsFile('dialup_spectrogram.mtl', mtlText);
+    downloadBlobAsFile(`dialup_spectrogram.${format}`, blob);
+  } catch (err) {
+    reportError('Export failed', err);
+  } finally {
+    setExportProgress(null);
+    exportBtn.disabled = false;
+  }
+}
+
+// Rebuild the surface geometry to display the full captured model when playback finishes.
+// The attributes are computed by the worker; a newer request (another trim, a reset) makes
+// older results stale, and those are dropped.
+async function finalizeModelGeometry() {
+  // A waterfall that recorded nothing leaves the window it last showed as the model
+  if (ring && capturedSlices.length < 2 && ring.written >= 2) captureRingWindow();
+  if (capturedSlices.length < 2) return;
+  syncTrimBar();
+  const generation = ++surfaceGeneration;
+  const newGeo = await buildSurfaceGeometryFromCaptured();
+  if (generation !== surfaceGeneration) {
+    newGeo.dispose();
+    return;
+  }
+  surface.geometry.dispose();
+  geometry = newGeo;
+  surface.geometry = geometry;
+  surface.position.x = 0;
+  surface.frustumCulled = true;
+  ring = null;
+  updateComparisonSurfaceInBackground();
+}
+
+// For rebuilds nobody waits on (playback ending, a trim, a setting): if the worker fails, the
+// capture has no finished surface to show or export, so drop the comparison and disable export
+function finalizeModelGeometryInBackground() {
+  finalizeModelGeometry().catch((err) => {
+    reportError('Could not build the finished surface', err);
+    hideComparisonSurface();
+    setExportAvailability(false);
+  });
+}
 
-// Rebuild the surface geometry to display the full captured model when playback finishes
-function finalizeModelGeometry() {
-  const slices = capturedSlices.length;
-  if (slices < 2) return;
+// Plane geometry holding the captured slices inside the trim window, colored like the live view
+async function buildSurfaceGeometryFromCaptured() {
+  const { slices: packed, count: slices, rows } = packSelectedSlices();
+  const { heights, colors: col } = await runPipeline('surface', {
+    slices: packed,
+    count: slices,
+    rows,
+    yScale: depth * heightScale,
+    coloring: currentColoring(),
+  });
   const finalWidth = sliceSpacing * (slices - 1);
   const newGeo = new THREE.PlaneGeometry(finalWidth, depth, slices - 1, pointsPerSlice - 1);
   newGeo.rotateX(-Math.PI / 2);
   // Anchor left edge at x=0 so the model does not shift on completion
   newGeo.translate(finalWidth / 2, 0, 0);
+  // Keep the same frequency row spacing as the live surface and the exported solid
+  applyZRowsToGeometry(newGeo, slices);
 
   const pos = newGeo.attributes.position;
-  const col = new Float32Array(pos.count * 3);
   newGeo.setAttribute('color', new THREE.BufferAttribute(col, 3));
-
-  const z0 = -depth / 2;
-  const dz = depth / (pointsPerSlice - 1);
-  // Fill Y and color from captured data
-  for (let z = 0; z < pointsPerSlice; z++) {
-    for (let x = 0; x < slices; x++) {
-      const idx = z * slices + x;
-      const amp = capturedSlices[x][z];
-      const y = amp * depth * heightScale;
-      pos.setY(idx, y);
-      const color = referenceColorRamp(amp);
-      const cIdx = idx * 3;
-      col[cIdx + 0] = color.r;
-      col[cIdx + 1] = color.g;
-      col[cIdx + 2] = color.b;
-    }
-  }
+  for (let idx = 0; idx < heights.length; idx++) pos.array[idx * 3 + 1] = heights[idx];
   pos.needsUpdate = true;
   newGeo.attributes.color.needsUpdate = true;
-  surface.geometry.dispose();
-  geometry = newGeo;
-  surface.geometry = geometry;
+  return newGeo;
 }
 
 // If user exports before capture has enough slices, sample the on-screen geometry
 function synthesizeCapturedFromSurface() {
+  if (ring && ring.written >= 2) {
+    captureRingWindow();
+    return;
+  }
   const pos = geometry.attributes.position;
   // Determine current visible slices from geometry's segments along X
   const totalVertices = pos.count;
   const slices = Math.max(2, Math.floor(totalVertices / pointsPerSlice));
-  capturedSlices.length = 0;
+  clearCapture();
   for (let x = 0; x < slices; x++) {
     const slice = new Float32Array(pointsPerSlice);
     for (let z = 0; z < pointsPerSlice; z++) {
@@ -676,296 +2777,127 @@ function synthesizeCapturedFromSurface() {
       slice[z] = Math.max(0, Math.min(1, y / (depth * heightScale)));
     }
     capturedSlices.push(slice);
+    capturedLevels.push(null);
+    // No timestamps on screen; assume the nominal capture rate
+    capturedTimes.push(x / offlineSlicesPerSecond);
   }
 }
 
-// Build a watertight OBJ + MTL. Colors are assigned per-face via materials.
-function buildOBJFromCaptured() {
-  const slices = capturedSlices.length;
-  const activeRowsCount = Math.max(2, Math.floor(pointsPerSlice * activeFrequencyFraction));
-  // Use only the active frequency band plus one front boundary row to avoid degenerate cells
-  const bins = activeRowsCount + 1;
-  const dx = sliceSpacing;
-  const dz = depth / (bins - 1);
-  const exportWidth = dx * (slices - 1);
-  const x0 = -exportWidth / 2;
-  const z0 = -depth / 2;
-  const backZ = z0 - backThickness;
-
-  const v = [];
-  const f = [];
-  const vx = []; const vy = []; const vz = [];
-  const indexTop = Array.from({ length: slices }, () => new Array(bins));
-  const yTop = Array.from({ length: slices }, () => new Array(bins));
-
-  // Material palette (quantized RGB -> material)
-  const materials = new Map(); // key -> { name, r, g, b }
-  function materialNameForColor(color) {
-    const ir = Math.round(Math.max(0, Math.min(1, color.r)) * 255);
-    const ig = Math.round(Math.max(0, Math.min(1, color.g)) * 255);
-    const ib = Math.round(Math.max(0, Math.min(1, color.b)) * 255);
-    const key = `${ir}_${ig}_${ib}`;
-    if (!materials.has(key)) {
-      const name = `c_${key}`;
-      materials.set(key, { name, r: ir / 255, g: ig / 255, b: ib / 255 });
-    }
-    return materials.get(key).name;
-  }
-  const baseColor = { r: 0.7, g: 0.7, b: 0.7 };
-  const baseMat = materialNameForColor(baseColor);
-
-  function pushV(x, y, z, r, g, b) {
-    v.push(`v ${x.toFixed(5)} ${y.toFixed(5)} ${z.toFixed(5)}`);
-    vx.push(x); vy.push(y); vz.push(z);
-    return v.length; // 1-based index
-  }
-
-  function emitFace(i1, i2, i3, desired, matName) {
-    // Orient triangle so its normal generally points along 'desired'
-    const a = i1 - 1, b = i2 - 1, c = i3 - 1;
-    const abx = vx[b] - vx[a], aby = vy[b] - vy[a], abz = vz[b] - vz[a];
-    const acx = vx[c] - vx[a], acy = vy[c] - vy[a], acz = vz[c] - vz[a];
-    const nx = aby * acz - abz * acy;
-    const ny = abz * acx - abx * acz;
-    const nz = abx * acy - aby * acx;
-    const dot = nx * desired.x + ny * desired.y + nz * desired.z;
-    f.push(`usemtl ${matName}`);
-    if (dot >= 0) {
-      f.push(`f ${i1} ${i2} ${i3}`);
-    } else {
-      f.push(`f ${i1} ${i3} ${i2}`);
-    }
-  }
-
-  const OUT_TOP = { x: 0, y: 1, z: 0 };
-  const OUT_BOTTOM = { x: 0, y: -1, z: 0 };
-  const OUT_FRONT = { x: 0, y: 0, z: 1 };
-  const OUT_BACK = { x: 0, y: 0, z: -1 };
-  const OUT_LEFT = { x: -1, y: 0, z: 0 };
-  const OUT_RIGHT = { x: 1, y: 0, z: 0 };
-
-  // Top vertices with color (clamp near-flat to exact 0 to enable merging)
-  const flatEps = 0.02 * depth * heightScale;
-  for (let i = 0; i < slices; i++) {
-    const x = x0 + dx * i;
-    const slice = capturedSlices[i];
-    for (let j = 0; j < bins; j++) {
-      // Use same nonlinear Z placement used in the live view
-      let z;
-      if (j < activeRowsCount) {
-        const t = j / (activeRowsCount - 1);
-        const tExp = Math.pow(t, frequencyExponent);
-        z = z0 + tExp * depth;
-      } else {
-        z = z0 + depth;
-      }
-      const amp = j < activeRowsCount ? slice[j] : 0; // collapse highs
-      let y = amp * depth * heightScale;
-      if (y < flatEps) y = 0;
-      yTop[i][j] = y;
-      const c = referenceColorRamp(amp);
-      indexTop[i][j] = pushV(x, y, z, c.r, c.g, c.b);
-    }
-  }
-
-  // Bottom grid vertices at y = -baseThickness matching the top grid segmentation
-  // This guarantees shared edges with all side walls for a watertight mesh
-  const indexBottom = Array.from({ length: slices }, () => new Array(bins));
-  for (let i = 0; i < slices; i++) {
-    const x = x0 + dx * i;
-    for (let j = 0; j < bins; j++) {
-      let z;
-      if (j < activeRowsCount) {
-        const t = j / (activeRowsCount - 1);
-        const tExp = Math.pow(t, frequencyExponent);
-        z = z0 + tExp * depth;
-      } else {
-        z = z0 + depth;
-      }
-      indexBottom[i][j] = pushV(x, -baseThickness, z, baseColor.r, baseColor.g, baseColor.b);
-    }
-  }
-
-  // Removed rear slab and zero-height shelf to avoid overlapping/co-planar faces.
-
-  // Triangulate top surface with coplanar merge on near-flat regions
-  // Build a boolean grid of flat cells
-  const flatCell = Array.from({ length: slices - 1 }, () => new Array(bins - 1).fill(false));
-  for (let i = 0; i < slices - 1; i++) {
-    for (let j = 0; j < bins - 1; j++) {
-      const y00 = yTop[i][j];
-      const y10 = yTop[i + 1][j];
-      const y01 = yTop[i][j + 1];
-      const y11 = yTop[i + 1][j + 1];
-      flatCell[i][j] = y00 === 0 && y10 === 0 && y01 === 0 && y11 === 0;
-    }
-  }
-  const visited = Array.from({ length: slices - 1 }, () => new Array(bins - 1).fill(false));
-  for (let j = 0; j < bins - 1; j++) {
-    for (let i = 0; i < slices - 1; i++) {
-      if (visited[i][j]) continue;
-      if (!flatCell[i][j]) {
-        // Emit normal two triangles for this single non-flat cell
-        const a = indexTop[i][j];
-        const bIdx = indexTop[i + 1][j];
-        const cIdx = indexTop[i + 1][j + 1];
-        const d = indexTop[i][j + 1];
-        // Face colors from average height (approx amplitude)
-        const scale = depth * heightScale;
-        const t1 = (yTop[i][j] + yTop[i + 1][j] + yTop[i + 1][j + 1]) / (3 * scale);
-        const t2 = (yTop[i][j] + yTop[i + 1][j + 1] + yTop[i][j + 1]) / (3 * scale);
-        const c1 = referenceColorRamp(Math.max(0, Math.min(1, t1)));
-        const c2 = referenceColorRamp(Math.max(0, Math.min(1, t2)));
-        emitFace(a, bIdx, cIdx, OUT_TOP, materialNameForColor(c1));
-        emitFace(a, cIdx, d, OUT_TOP, materialNameForColor(c2));
-        visited[i][j] = true;
-        continue;
-      }
-      // Flat cell: grow a rectangle (i..iW, j..jH)
-      let iW = i;
-      while (iW + 1 < slices - 1 && flatCell[iW + 1][j] && !visited[iW + 1][j]) iW++;
-      let jH = j;
-      let grow = true;
-      while (grow && jH + 1 < bins - 1) {
-        for (let k = i; k <= iW; k++) {
-          if (!flatCell[k][jH + 1] || visited[k][jH + 1]) { grow = false; break; }
-        }
-        if (grow) jH++;
-      }
-      // Emit two triangles covering the rectangle
-      const a = indexTop[i][j];
-      const bIdx = indexTop[iW + 1][j];
-      const cIdx = indexTop[iW + 1][jH + 1];
-      const d = indexTop[i][jH + 1];
-      emitFace(a, bIdx, cIdx, OUT_TOP, baseMat);
-      emitFace(a, cIdx, d, OUT_TOP, baseMat);
-      // Mark visited
-      for (let jj = j; jj <= jH; jj++) {
-        for (let ii = i; ii <= iW; ii++) visited[ii][jj] = true;
-      }
+// Scene-to-print mapping for the exported solid. The footprint is stretched to the target
+// width and depth; relief height follows the depth like on screen, times the exaggeration.
+function printDimensions() {
+  const { start, end } = selectedRange();
+  return {
+    width: settings.printWidth,
+    sx: settings.printWidth / (sliceSpacing * Math.max(1, end - start)),
+    sz: settings.printDepth / depth,
+    relief: settings.printDepth * heightScale * settings.printZScale,
+    base: settings.printBaseThickness,
+    minFeature: settings.printMinFeature,
+    maxDeviation: settings.printMaxDeviation,
+    titlePlate: settings.titlePlate,
+    titleText: settings.titleText || sourceName.replace(/\.[^.]+$/, ''),
+    markerPlate: settings.markerPlate,
+    markers: exportMarkers(),
+    shape: settings.modelShape,
+    turns: settings.spiralTurns,
+  };
+}
+
+// Build the printable solid (see buildSolid() in meshing.js) in the worker
+function buildSolidFromCaptured() {
+  return runPipeline('solid', {
+    ...packSelectedSlices(),
+    activeRows,
+    rowZ: zRowPositions,
+    zMax,
+    coloring: currentColoring(),
+    print: printDimensions(),
+  });
+}
+
+// Single-file glTF binary for web viewers and AR quick-looks. The surface keeps per-vertex
+// colors (COLOR_0); the base and walls of the printable solid can be added as a second mesh.
+async function buildGLBFromCaptured({ includeBase = false, solid = null } = {}) {
+  const exportScene = new THREE.Scene();
+  exportScene.name = 'spectrogram';
+  const { start, end } = selectedRange();
+  exportScene.userData = {
+    sourceFile: sourceName,
+    sampleRate: spectrumSampleRate,
+    fftSize: analyser.fftSize,
+    slices: end - start + 1,
+    startTime: capturedTimes[start],
+    endTime: capturedTimes[end],
+    frequencyRows: pointsPerSlice,
+  };
+
+  // Same millimetre frame as the printable solid, with the model node scaled to glTF metres
+  const model = new THREE.Group();
+  model.name = 'model';
+  model.scale.setScalar(0.001);
+  exportScene.add(model);
+
+  const print = printDimensions();
+  const { sx, sz, relief } = print;
+  const surfaceGeo = await buildSurfaceGeometryFromCaptured();
+  // The surface is anchored at its left edge while the solid is centered on x = 0
+  surfaceGeo.translate((-sliceSpacing * (end - start)) / 2, 0, 0);
+  surfaceGeo.scale(sx, relief / (depth * heightScale), sz);
+  if (print.shape !== 'flat') {
+    // Bend the surface exactly like the relief of the solid
+    const count = end - start + 1;
+    const shape = printShapeMapping(print, count);
+    const pos = surfaceGeo.attributes.position;
+    const normal = surfaceGeo.attributes.normal;
+    const v0 = zRowPositions[0] * sz;
+    for (let idx = 0; idx < pos.count; idx++) {
+      const column = idx % count;
+      pos.setXYZ(idx, ...shape.place(column, pos.getZ(idx) - v0, pos.getY(idx)));
+      // Radial normals like the live view; collapsed rows have no area to take one from
+      const theta = shape.angleAt(column);
+      normal.setXYZ(idx, Math.cos(theta), 0, Math.sin(theta));
     }
+    if (shape.closed) surfaceGeo.setIndex(seamClosedIndex(surfaceGeo.index, count));
+  }
+  const surfaceMesh = new THREE.Mesh(
+    surfaceGeo,
+    new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 1, metalness: 0, side: THREE.DoubleSide })
+  );
+  surfaceMesh.name = 'surface';
+  model.add(surfaceMesh);
+
+  if (includeBase) {
+    const { positions, indices, faceParts } = solid || await buildSolidFromCaptured();
+    const baseIndices = [];
+    for (let t = 0; t < faceParts.length; t++) {
+      if (faceParts[t] !== SOLID_PART_BASE) continue;
+      baseIndices.push(indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]);
+    }
+    const indexed = new THREE.BufferGeometry();
+    indexed.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    indexed.setIndex(baseIndices);
+    // Un-index so the walls get flat normals instead of smoothing over the corners
+    const baseGeo = indexed.toNonIndexed();
+    indexed.dispose();
+    baseGeo.computeVertexNormals();
+    const baseMesh = new THREE.Mesh(
+      baseGeo,
+      new THREE.MeshStandardMaterial({ color: 0xb3b3b3, roughness: 1, metalness: 0 })
+    );
+    baseMesh.name = 'base';
+    model.add(baseMesh);
   }
 
-  // Close the front seam at the nonlinear-mapping boundary to avoid gaps
-  const jBoundary = Math.max(0, Math.min(bins - 2, activeRowsCount - 1));
-  for (let i = 0; i < slices - 1; i++) {
-    const a0 = indexTop[i][jBoundary];
-    const a1 = indexTop[i + 1][jBoundary];
-    const b0 = indexTop[i][jBoundary + 1];
-    const b1 = indexTop[i + 1][jBoundary + 1];
-    emitFace(a0, a1, b1, OUT_FRONT, baseMat);
-    emitFace(a0, b1, b0, OUT_FRONT, baseMat);
-  }
-
-  // Triangulate the bottom surface cell-by-cell to match the top grid
-  for (let i = 0; i < slices - 1; i++) {
-    for (let j = 0; j < bins - 1; j++) {
-      const a = indexBottom[i][j];
-      const b = indexBottom[i + 1][j];
-      const c = indexBottom[i + 1][j + 1];
-      const d = indexBottom[i][j + 1];
-      emitFace(a, b, c, OUT_BOTTOM, baseMat);
-      emitFace(a, c, d, OUT_BOTTOM, baseMat);
-    }
-  }
-
-  // Side walls: connect top borders to bottom grid
-  // Back edge z = z0 → vertical wall using bottom grid row j=0
-  for (let i = 0; i < slices - 1; i++) {
-    const aTop = indexTop[i][0];
-    const bTop = indexTop[i + 1][0];
-    const aBot = indexBottom[i][0];
-    const bBot = indexBottom[i + 1][0];
-    // Consistent diagonal aTop -> bBot
-    emitFace(aTop, aBot, bBot, OUT_BACK, baseMat);
-    emitFace(aTop, bBot, bTop, OUT_BACK, baseMat);
-  }
-  // Back edge is closed directly by the vertical wall from top edge down to base back edge
-  // (emitted above), avoiding extra overlapping geometry.
-
-  // Removed side faces for the deleted back shelf.
-  // Front edge z = z0 + depth → vertical wall using bottom grid row j=bins-1
-  for (let i = 0; i < slices - 1; i++) {
-    const aTop = indexTop[i][bins - 1];
-    const bTop = indexTop[i + 1][bins - 1];
-    const aBot = indexBottom[i][bins - 1];
-    const bBot = indexBottom[i + 1][bins - 1];
-    // Consistent diagonal aTop -> bBot
-    emitFace(aTop, aBot, bBot, OUT_FRONT, baseMat);
-    emitFace(aTop, bBot, bTop, OUT_FRONT, baseMat);
-  }
-  // Side walls (left and right) with per-row bottoms to avoid giant triangles
-  // Precompute side bottoms along Z
-  const sideBottomLeft = new Array(bins);
-  const sideBottomRight = new Array(bins);
-  const activeRows = bins - 1; // since we truncated to active band + boundary
-  for (let j = 0; j < bins; j++) {
-    let z;
-    if (j < activeRows) {
-      const t = j / (activeRows - 1);
-      const tExp = Math.pow(t, frequencyExponent);
-      z = z0 + tExp * depth;
-    } else {
-      z = z0 + depth;
-    }
-    sideBottomLeft[j] = indexBottom[0][j];
-    sideBottomRight[j] = indexBottom[slices - 1][j];
-  }
-  // Left wall
-  for (let j = 0; j < bins - 1; j++) {
-    const aTop = indexTop[0][j];
-    const bTop = indexTop[0][j + 1];
-    const aBot = sideBottomLeft[j];
-    const bBot = sideBottomLeft[j + 1];
-    // Consistent diagonal aTop -> bBot
-    emitFace(aTop, aBot, bBot, OUT_LEFT, baseMat);
-    emitFace(aTop, bBot, bTop, OUT_LEFT, baseMat);
-  }
-  // Ensure seam closed at top/bottom of left wall
-  emitFace(indexTop[0][bins - 2], indexTop[0][bins - 1], sideBottomLeft[bins - 1], OUT_LEFT, baseMat);
-  emitFace(indexTop[0][bins - 2], sideBottomLeft[bins - 1], sideBottomLeft[bins - 2], OUT_LEFT, baseMat);
-  // Right wall
-  for (let j = 0; j < bins - 1; j++) {
-    const aTop = indexTop[slices - 1][j];
-    const bTop = indexTop[slices - 1][j + 1];
-    const aBot = sideBottomRight[j];
-    const bBot = sideBottomRight[j + 1];
-    // Consistent diagonal aTop -> bBot
-    emitFace(aTop, aBot, bBot, OUT_RIGHT, baseMat);
-    emitFace(aTop, bBot, bTop, OUT_RIGHT, baseMat);
-  }
-  emitFace(indexTop[slices - 1][bins - 2], sideBottomRight[bins - 2], indexTop[slices - 1][bins - 1], OUT_RIGHT, baseMat);
-  emitFace(indexTop[slices - 1][bins - 1], sideBottomRight[bins - 2], sideBottomRight[bins - 1], OUT_RIGHT, baseMat);
-
-  // No extra projection behind the rear plane; clipped at z0
-
-  const header = [
-    '# Dial-up spectrogram export',
-    'mtllib dialup_spectrogram.mtl',
-    'g spectrogram',
-  ];
-  const objText = header.concat(v).concat(f).join('\n');
-
-  // Build MTL text from used materials
-  const mtlLines = ['# Materials'];
-  // Ensure baseMat defined
-  const baseKey = `${Math.round(baseColor.r * 255)}_${Math.round(baseColor.g * 255)}_${Math.round(baseColor.b * 255)}`;
-  if (!materials.has(baseKey)) materials.set(baseKey, { name: baseMat, r: baseColor.r, g: baseColor.g, b: baseColor.b });
-  for (const { name, r, g, b } of materials.values()) {
-    mtlLines.push(`newmtl ${name}`);
-    mtlLines.push(`Kd ${r.toFixed(6)} ${g.toFixed(6)} ${b.toFixed(6)}`);
-    mtlLines.push('Ka 0 0 0');
-    mtlLines.push('Ks 0 0 0');
-    mtlLines.push('illum 1');
-    mtlLines.push('d 1');
-    mtlLines.push('');
-  }
-  const mtlText = mtlLines.join('\n');
-  return { objText, mtlText };
+  try {
+    const glb = await new GLTFExporter().parseAsync(exportScene, { binary: true });
+    return new Blob([glb], { type: 'model/gltf-binary' });
+  } finally {
+    disposeObjectRecursive(exportScene);
+  }
 }
 
-function downloadTextAsFile(filename, text) {
-  const blob = new Blob([text], { type: 'text/plain' });
+function downloadBlobAsFile(filename, blob) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -976,8 +2908,300 @@ function downloadTextAsFile(filename, text) {
   URL.revokeObjectURL(url);
 }
 
+function downloadTextAsFile(filename, text) {
+  downloadBlobAsFile(filename, new Blob([text], { type: 'text/plain' }));
+}
+
+// -------- Video recording --------
+// Records what the canvas shows, with the sound, into a WebM. While recording the renderer
+// draws at the chosen fixed frame size (the page letterboxes the canvas) and the canvas stream
+// is sampled at the chosen frame rate. The audio is tapped after the analyser, so it carries the
+// playing file or the live input even while the input is kept off the speakers.
+function videoMimeType() {
+  const candidates = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+function startVideoRecording() {
+  const size = settings.videoSize.split('x').map(Number);
+  const fps = settings.videoFrameRate;
+  const audioDestination = audioContext.createMediaStreamDestination();
+  const stream = new MediaStream([
+    ...renderer.domElement.captureStream(fps).getVideoTracks(),
+    ...audioDestination.stream.getAudioTracks(),
+  ]);
+  const mimeType = videoMimeType();
+  const recorder = new MediaRecorder(stream, {
+    ...(mimeType ? { mimeType } : {}),
+    // About a tenth of a bit per pixel and frame keeps the moving surface sharp
+    videoBitsPerSecond: Math.round(size[0] * size[1] * fps * 0.1),
+  });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data && e.data.size) chunks.push(e.data);
+  });
+  recorder.addEventListener('stop', () => {
+    for (const track of stream.getTracks()) track.stop();
+    downloadBlobAsFile('dialup_spectrogram.webm', new Blob(chunks, { type: mimeType || 'video/webm' }));
+  });
+
+  videoRecording = { recorder, chunks, audioDestination, size, pixelRatio: renderer.getPixelRatio() };
+  renderer.setPixelRatio(1);
+  renderer.domElement.style.objectFit = 'contain';
+  resize();
+  analyser.connect(audioDestination);
+  recorder.start(1000); // hand over data every second so long takes never sit in one buffer
+  setVideoButtonState(true);
+}
+
+function stopVideoRecording() {
+  if (!videoRecording) return;
+  const { recorder, audioDestination, pixelRatio } = videoRecording;
+  videoRecording = null;
+  recorder.stop();
+  analyser.disconnect(audioDestination);
+  renderer.setPixelRatio(pixelRatio);
+  renderer.domElement.style.objectFit = '';
+  resize();
+  setVideoButtonState(false);
+}
+
+function setVideoButtonState(isRecording) {
+  if (!recordVideoBtn) return;
+  recordVideoBtn.textContent = isRecording ? 'Stop Video' : 'Record Video';
+  recordVideoBtn.classList.toggle('bg-rose-600', isRecording);
+  recordVideoBtn.classList.toggle('hover:bg-rose-500', isRecording);
+  recordVideoBtn.classList.toggle('bg-zinc-700', !isRecording);
+  recordVideoBtn.classList.toggle('hover:bg-zinc-600', !isRecording);
+}
+
+if (recordVideoBtn) {
+  if (typeof MediaRecorder === 'undefined' || !renderer.domElement.captureStream) {
+    recordVideoBtn.disabled = true;
+    recordVideoBtn.title = 'This browser cannot record video';
+  }
+  recordVideoBtn.addEventListener('click', async () => {
+    if (videoRecording) {
+      stopVideoRecording();
+      return;
+    }
+    try {
+      if (audioContext.state === 'suspended') await audioContext.resume();
+      startVideoRecording();
+    } catch (err) {
+      reportError('Could not start the video recording', err);
+    }
+  });
+}
+
+// -------- Sessions --------
+// Save the capture with everything needed to redraw it, and reopen it straight into a
+// finished model. The file layout lives in session.js.
+async function hashSourceAudio() {
+  if (!(window.crypto && crypto.subtle) || !hasSourceAudio()) return null;
+  try {
+    const response = await fetch(audioEl.currentSrc || audioEl.src);
+    const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  } catch {
+    return null;
+  }
+}
+
+async function saveSession() {
+  if (capturedSlices.length < 2) return;
+  if (sourceHash === undefined) sourceHash = await hashSourceAudio();
+  const meta = {
+    sourceName,
+    sourceHash,
+    spectrumSampleRate,
+    settings: { ...settings },
+    camera: { position: camera.position.toArray(), target: controls.target.toArray() },
+    trim: { start: trimStart, end: trimEnd },
+    markers: captureMarkers,
+    savedAt: new Date().toISOString(),
+  };
+  // Levels are only worth keeping when every slice has them
+  const levels = capturedLevels.every(Boolean) ? capturedLevels : null;
+  const blob = await encodeSession(meta, capturedSlices, capturedTimes, levels);
+  downloadBlobAsFile(`${sourceName.replace(/\.[^.]+$/, '')}${sessionFileExtension}`, blob);
+}
+
+function isVector3Array(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// Stop playback and input, then apply settings for a capture that arrives from a file. Settings
+// go first: changing the analysis or mapping afterwards would discard the capture. They come
+// from the file, so they are not saved as the user's own.
+function prepareForLoadedCapture(settingsUpdate) {
+  if (liveInput) stopLiveInput({ finalize: false });
+  audioEl.pause();
+  setPlayButtonState(false);
+  hasEnded = false;
+  isCapturing = false;
+  applySettings(settingsUpdate, { persist: false });
+}
+
+// Replace the capture with one from a file. The file is checked against the settings it needs
+// before anything changes, so one that does not fit leaves the current capture in place; if
+// showing it fails anyway, the previous settings come back.
+async function loadCapture(settingsUpdate, capture) {
+  const rows = surfaceRowsFor(sanitizeSettings({ ...settings, ...settingsUpdate }));
+  if (capture.rows !== rows) throw new Error(`Data has ${capture.rows} rows but the settings give ${rows}`);
+  if (!(capture.count >= 2) || capture.times.length !== capture.count) {
+    throw new Error('The file needs at least two time slices with a time for each');
+  }
+  const previous = { ...settings };
+  prepareForLoadedCapture(settingsUpdate);
+  try {
+    await showLoadedCapture(capture);
+  } catch (err) {
+    applySettings(previous, { persist: false });
+    throw err;
+  }
+  detachSourceAudio();
+}
+
+// Show packed (count x rows) slices, and the levels they were mapped from when known, as a
+// finished model, as if they had just been captured
+async function showLoadedCapture(capture) {
+  const { slices, levels = null, times, count, rows, trim = null, sampleRate = null } = capture;
+  if (rows !== pointsPerSlice) throw new Error(`Data has ${rows} rows but the settings give ${pointsPerSlice}`);
+  clearCapture();
+  hardResetVisualization();
+  if (Number.isFinite(sampleRate)) setSpectrumSampleRate(sampleRate);
+
+  // Slices stay views into the loaded buffers
+  for (let i = 0; i < count; i++) {
+    capturedSlices.push(slices.subarray(i * rows, (i + 1) * rows));
+    capturedLevels.push(levels ? levels.subarray(i * rows, (i + 1) * rows) : null);
+    capturedTimes.push(times[i]);
+  }
+  currentSliceIndex = count;
+  if (trim) {
+    trimStart = Number.isInteger(trim.start) ? trim.start : 0;
+    trimEnd = Number.isInteger(trim.end) ? trim.end : -1;
+  }
+  hasEnded = true;
+  buildAxesAndTicks();
+  await finalizeModelGeometry();
+  setExportAvailability(capturedSlices.length >= 2);
+}
+
+async function openSession(file) {
+  const { meta, slices, levels, times, count, rows } = await decodeSession(file);
+  // Sessions from before the stereo layouts hold mono slices
+  await loadCapture({ channelMode: 'mono', ...meta.settings }, {
+    slices, levels, times, count, rows, trim: meta.trim, sampleRate: meta.spectrumSampleRate,
+  });
+  sourceName = typeof meta.sourceName === 'string' ? meta.sourceName : file.name;
+  setMarkers(meta.markers);
+  sourceHash = typeof meta.sourceHash === 'string' ? meta.sourceHash : null;
+  if (meta.camera && isVector3Array(meta.camera.position) && isVector3Array(meta.camera.target)) {
+    camera.position.fromArray(meta.camera.position);
+    controls.target.fromArray(meta.camera.target);
+    controls.update();
+  } else {
+    frameWholeModel();
+  }
+}
+
+if (saveSessionBtn) {
+  saveSessionBtn.addEventListener('click', async () => {
+    saveSessionBtn.disabled = true;
+    try {
+      await saveSession();
+    } catch (err) {
+      reportError('Saving the session failed', err);
+    } finally {
+      saveSessionBtn.disabled = false;
+    }
+  });
+}
+if (openSessionBtn && sessionFileInput) {
+  openSessionBtn.addEventListener('click', () => sessionFileInput.click());
+  sessionFileInput.addEventListener('change', async () => {
+    const file = sessionFileInput.files && sessionFileInput.files[0];
+    sessionFileInput.value = ''; // allow reopening the same file
+    if (!file) return;
+    hideError();
+    try {
+      await openSession(file);
+    } catch (err) {
+      reportError(`Could not open ${file.name}`, err);
+    }
+  });
+}
+
+// -------- Data import --------
+// Builds a model from an amplitude grid made elsewhere: a grayscale PNG heightmap, a CSV or an
+// NPY matrix, read in the layout the data exports write (see dataformats.js).
+async function importDataFile(file) {
+  const [minRows, maxRows] = settingRanges.pointsPerSlice;
+  const grid = await runPipeline('import', { buffer: await file.arrayBuffer(), minRows, maxRows });
+  if (grid.count < 2) throw new Error('Imported data needs at least two time slices');
+  // Each row needs its own FFT bin, so tall grids may need a larger analysis size
+  const fftSize = Math.max(settings.fftSize, 2 ** Math.ceil(Math.log2(grid.rows * 2)));
+  // Files without timestamps get the nominal capture rate
+  const times = grid.times || Float64Array.from({ length: grid.count }, (_, i) => i / offlineSlicesPerSecond);
+  // Every row of the file is data, so none may fall in the band the power layout collapses
+  const fileSettings = { pointsPerSlice: grid.rows, fftSize, channelMode: 'mono', activeFrequencyFraction: 1 };
+  await loadCapture(fileSettings, { ...grid, times });
+  sourceName = file.name;
+  sourceHash = null;
+  setMarkers([]);
+  frameWholeModel();
+}
+
+if (importDataBtn && dataFileInput) {
+  importDataBtn.addEventListener('click', () => dataFileInput.click());
+  dataFileInput.addEventListener('change', async () => {
+    const file = dataFileInput.files && dataFileInput.files[0];
+    dataFileInput.value = '';
+    if (!file) return;
+    hideError();
+    try {
+      await importDataFile(file);
+    } catch (err) {
+      reportError(`Could not import ${file.name}`, err);
+    }
+  });
+}
+
+// Failures the user should know about are shown over the scene until clicked away, with the
+// details in the console
+function reportError(message, err) {
+  console.error(message, err);
+  if (!errorNotice) return;
+  errorNotice.textContent = err && err.message ? `${message}: ${err.message}` : message;
+  errorNotice.classList.remove('hidden');
+}
+
+function hideError() {
+  if (errorNotice) errorNotice.classList.add('hidden');
+}
+
+if (errorNotice) errorNotice.addEventListener('click', hideError);
+
+// Progress overlay for exports; pass null to hide it
+function setExportProgress(fraction, label = '') {
+  if (!exportProgress) return;
+  exportProgress.classList.toggle('hidden', fraction === null);
+  if (fraction === null) return;
+  if (exportProgressBar) exportProgressBar.style.width = `${Math.round(fraction * 100)}%`;
+  if (exportProgressLabel) exportProgressLabel.textContent = label;
+}
+
 // Clear the current visualization back to a flat plane and base color
 function resetVisualization() {
+  resetSurfaceColors();
+  // Also clear any residual captured slices to avoid pre-populating export
+  clearCapture();
+}
+
+// Flatten the live surface and paint it the neutral idle color
+function resetSurfaceColors() {
   const posArray = geometry.attributes.position.array;
   const baseColor = { r: 0.15, g: 0.15, b: 0.15 }; // neutral gray, not red
   for (let i = 0; i < positionAttr.count; i++) {
@@ -989,25 +3213,281 @@ function resetVisualization() {
   }
   positionAttr.needsUpdate = true;
   geometry.attributes.color.needsUpdate = true;
-  // Also clear any residual captured slices to avoid pre-populating export
-  capturedSlices.length = 0;
+  markShapeDirty();
 }
 
 // Full reset: re-create the surface to initial capacity and clear indices
 function hardResetVisualization() {
+  recreateSurfaceGeometry(numSlicesInitial);
+  resetVisualization();
+  setSpectrumSampleRate(audioContext.sampleRate);
+  buildAxesAndTicks();
+  // Optionally recenters the view near the beginning
+  positionCameraOverview();
+}
+
+// Swap in an empty live surface: a growing grid with the given column capacity, or the
+// fixed-size ring in waterfall view
+function recreateSurfaceGeometry(columnCapacity) {
+  surfaceGeneration++; // a finished surface still being computed must not replace this one
   currentSliceIndex = 0;
-  capacity = numSlicesInitial;
+  const waterfall = settings.viewMode === 'waterfall';
+  capacity = waterfall ? waterfallColumns() : columnCapacity;
   if (surface.geometry) surface.geometry.dispose();
-  geometry = createSurfaceGeometry(capacity);
+  geometry = waterfall ? createRingGeometry(capacity) : createSurfaceGeometry(capacity);
   applyZRowsToGeometry(geometry, capacity);
   positionAttr = geometry.attributes.position;
   colors = new Float32Array(positionAttr.count * 3);
   geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
   surface.geometry = geometry;
-  resetVisualization();
+  surface.position.x = 0;
+  hideComparisonSurface();
+  // Ring columns keep moving along x, so their bounds never settle for frustum culling
+  surface.frustumCulled = !waterfall;
+  ring = waterfall ? {
+    columns: capacity,
+    written: 0,
+    origin: 0,
+    startTime: 0,
+    seam: capacity - 1,
+    slices: new Float32Array(capacity * pointsPerSlice),
+    levels: new Float32Array(capacity * pointsPerSlice).fill(silenceDb),
+  } : null;
+}
+
+// -------- Trim --------
+// Two range handles over the finished capture pick the columns kept in the model and exports
+function syncTrimBar() {
+  if (!trimBar) return;
+  const visible = hasEnded && capturedSlices.length >= 2;
+  trimBar.classList.toggle('hidden', !visible);
+  if (!visible) return;
+  const last = capturedSlices.length - 1;
+  const { start, end } = selectedRange();
+  for (const input of [trimStartInput, trimEndInput]) {
+    if (!input) continue;
+    input.max = String(last);
+  }
+  if (trimStartInput) trimStartInput.value = String(start);
+  if (trimEndInput) trimEndInput.value = String(end);
+  if (trimTrack) {
+    trimTrack.style.left = `${(start / last) * 100}%`;
+    trimTrack.style.right = `${100 - (end / last) * 100}%`;
+  }
+  if (trimLabel) {
+    const seconds = capturedTimes[end] - capturedTimes[start];
+    trimLabel.textContent = `${capturedTimes[start].toFixed(2)} s – ${capturedTimes[end].toFixed(2)} s`
+      + ` (${seconds.toFixed(2)} s, ${end - start + 1} slices)`;
+  }
+}
+
+// While a handle is dragged only the readout follows (`rebuild: false`); the surface is rebuilt
+// once it is let go
+function setTrimRange(start, end, { rebuild = true } = {}) {
+  const last = capturedSlices.length - 1;
+  trimStart = Math.max(0, Math.min(start, last - 1));
+  trimEnd = end >= last ? -1 : Math.max(trimStart + 1, end);
+  if (rebuild) finalizeModelGeometryInBackground();
+  else syncTrimBar();
+}
+
+if (trimStartInput) {
+  const update = (rebuild) => {
+    const { end } = selectedRange();
+    // Don't let the start handle cross the end handle
+    const start = Math.min(Number(trimStartInput.value), end - 1);
+    setTrimRange(start, end, { rebuild });
+  };
+  trimStartInput.addEventListener('input', () => update(false));
+  trimStartInput.addEventListener('change', () => update(true));
+}
+if (trimEndInput) {
+  const update = (rebuild) => {
+    const { start } = selectedRange();
+    const end = Math.max(Number(trimEndInput.value), start + 1);
+    setTrimRange(start, end, { rebuild });
+  };
+  trimEndInput.addEventListener('input', () => update(false));
+  trimEndInput.addEventListener('change', () => update(true));
+}
+if (trimResetBtn) {
+  trimResetBtn.addEventListener('click', () => setTrimRange(0, capturedSlices.length - 1));
+}
+
+// -------- Settings panel --------
+// Apply a partial settings update, persist it and rebuild everything derived from it.
+// Captured slices survive display-only changes and are re-mapped when the amplitude settings
+// change; changes to the analysis or the row mapping alter what a slice means, so the capture
+// restarts from the current position.
+// `persist: false` applies settings that come with a file without making them the defaults;
+// otherwise only the keys in `update` join the user's saved settings
+function applySettings(update, { persist = true } = {}) {
+  const previous = { ...settings };
+  Object.assign(settings, sanitizeSettings({ ...settings, ...update }));
+  if (persist) {
+    Object.assign(savedSettings, sanitizeSettings({ ...savedSettings, ...update }));
+    saveSettings();
+  }
+  const sceneFreeKeys = [...printSettingKeys, ...cameraSettingKeys, ...comparisonSettingKeys];
+  if (Object.keys(update).every((key) => sceneFreeKeys.includes(key))) {
+    if (Object.keys(update).some((key) => comparisonSettingKeys.includes(key))) {
+      updateComparisonSurfaceInBackground();
+    }
+    syncSettingsPanel();
+    return;
+  }
+
+  for (const node of analysisNodes) {
+    node.fftSize = settings.fftSize;
+    node.smoothingTimeConstant = settings.smoothingTimeConstant;
+  }
+  setStereoMix(settings.channelMode);
+  freqBinCount = analyser.frequencyBinCount;
+  freqData = new Float32Array(freqBinCount);
+  channelFreqData = channelAnalysers.map(() => new Float32Array(freqBinCount));
+  activeFrequencyFraction = settings.activeFrequencyFraction;
+  frequencyExponent = settings.frequencyExponent;
+  noiseFloor = settings.noiseFloor;
+  heightScale = settings.heightScale;
+  currentColorRamp = activeColorRamp();
+  computeFrequencyRows();
+
+  // Slices hold per-row levels mapped to amplitudes, so anything that changes which bins
+  // feed a row invalidates them; a change in how levels turn into heights only re-maps them
+  const slicesInvalidated = previous.fftSize !== settings.fftSize
+    || previous.pointsPerSlice !== settings.pointsPerSlice
+    || previous.channelMode !== settings.channelMode
+    || previous.frequencyScale !== settings.frequencyScale
+    || ((settings.frequencyScale !== 'power' || settings.channelMode !== 'mono')
+      && previous.activeFrequencyFraction !== settings.activeFrequencyFraction);
+  const amplitudeChanged = previous.amplitudeMode !== settings.amplitudeMode
+    || previous.noiseFloor !== settings.noiseFloor
+    || previous.minDb !== settings.minDb
+    || previous.maxDb !== settings.maxDb
+    || previous.gamma !== settings.gamma;
+  if (slicesInvalidated) {
+    clearCapture();
+    if (audioEl.paused) setExportAvailability(false);
+    if (comparison) reanalyseComparison();
+  } else if (amplitudeChanged) {
+    remapCapture();
+  }
+  rebuildSurfaceFromCaptured({ keepRing: !slicesInvalidated });
   buildAxesAndTicks();
-  // Optionally recenters the view near the beginning
-  positionCameraOverview();
+  if (previous.modelShape !== settings.modelShape) {
+    setAxesVisibility(axesVisible);
+    frameWholeModel();
+  }
+  syncSettingsPanel();
+}
+
+// Re-create the displayed surface from capturedSlices using the current mapping. A live
+// waterfall redraws its own window instead, unless its slices no longer match the mapping.
+function rebuildSurfaceFromCaptured({ keepRing = true } = {}) {
+  if (hasEnded && capturedSlices.length >= 2) {
+    finalizeModelGeometryInBackground();
+    return;
+  }
+  if (settings.viewMode === 'waterfall') {
+    const previous = ring;
+    recreateSurfaceGeometry(0);
+    resetSurfaceColors();
+    if (keepRing && previous && previous.slices.length === previous.columns * pointsPerSlice) replayRing(previous);
+    return;
+  }
+  let columns = numSlicesInitial;
+  while (columns < capturedSlices.length) columns = Math.ceil(columns * 1.6);
+  recreateSurfaceGeometry(columns);
+  resetSurfaceColors();
+  for (const slice of capturedSlices) writeSliceToSurface(slice);
+}
+
+// Settings inputs live in the settings panel and the export dialog
+function syncSettingsPanel() {
+  for (const input of document.querySelectorAll('[data-setting]')) {
+    const value = settings[input.dataset.setting];
+    if (input.type === 'checkbox') input.checked = Boolean(value);
+    else input.value = String(value);
+  }
+  syncColorMapEditor();
+  syncComparisonBar();
+  updateExportSummary();
+}
+
+// Gradient preview plus the stop list for the custom color map
+function syncColorMapEditor() {
+  if (colorMapPreview) {
+    const css = currentColorRamp.map(({ s, c }) => {
+      const [r, g, b] = c.map((v) => Math.round(v * 255));
+      return `rgb(${r}, ${g}, ${b}) ${(s * 100).toFixed(1)}%`;
+    });
+    colorMapPreview.style.background = `linear-gradient(to right, ${css.join(', ')})`;
+  }
+  if (!customStopsEditor || !customStopsList) return;
+  customStopsEditor.classList.toggle('hidden', settings.colorMap !== 'custom');
+  const stops = settings.customColorStops;
+  customStopsList.replaceChildren(...stops.map((stop, index) => {
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-2';
+    const position = document.createElement('input');
+    position.type = 'number';
+    position.min = '0';
+    position.max = '1';
+    position.step = '0.05';
+    position.value = String(stop.s);
+    position.className = 'w-20 px-2 py-1 rounded bg-zinc-800 border border-zinc-700 text-white';
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = stop.color;
+    color.className = 'w-10 h-6 rounded bg-transparent';
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.disabled = stops.length <= 2;
+    remove.className = 'px-2 py-1 rounded bg-zinc-700 hover:bg-zinc-600 disabled:opacity-40 text-white';
+
+    const update = (patch) => {
+      const next = stops.map((existing, i) => (i === index ? { ...existing, ...patch } : existing));
+      applySettings({ customColorStops: next });
+    };
+    position.addEventListener('change', () => update({ s: Number(position.value) }));
+    color.addEventListener('change', () => update({ color: color.value }));
+    remove.addEventListener('click', () => {
+      applySettings({ customColorStops: stops.filter((_, i) => i !== index) });
+    });
+    row.append(position, color, remove);
+    return row;
+  }));
+}
+
+for (const input of document.querySelectorAll('[data-setting]')) {
+  input.addEventListener('change', () => {
+    const key = input.dataset.setting;
+    let value = input.value;
+    if (input.type === 'checkbox') value = input.checked;
+    else if (typeof defaultSettings[key] === 'number') value = Number(value);
+    applySettings({ [key]: value });
+  });
+}
+syncSettingsPanel();
+if (settingsBtn && settingsPanel) {
+  settingsBtn.addEventListener('click', () => settingsPanel.classList.toggle('hidden'));
+}
+if (settingsResetBtn) {
+  settingsResetBtn.addEventListener('click', () => applySettings(defaultSettings));
+}
+if (addColorStopBtn) {
+  addColorStopBtn.addEventListener('click', () => {
+    // New stop halfway along the widest gap, colored like the gradient at that point
+    const stops = settings.customColorStops;
+    let gapIndex = 0;
+    for (let i = 1; i < stops.length - 1; i++) {
+      if (stops[i + 1].s - stops[i].s > stops[gapIndex + 1].s - stops[gapIndex].s) gapIndex = i;
+    }
+    const s = (stops[gapIndex].s + stops[gapIndex + 1].s) / 2;
+    const { r, g, b } = sampleColorRamp(currentColorRamp, s);
+    const color = `#${[r, g, b].map((v) => Math.round(v * 255).toString(16).padStart(2, '0')).join('')}`;
+    applySettings({ customColorStops: [...stops, { s, color }] });
+  });
 }
 
 // Cleanup on hot reload
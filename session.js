@@ -0,0 +1,98 @@
+// -------- Session files --------
+// A session stores a finished capture so it can be reopened without replaying the audio.
+// Layout, little-endian, gzip-compressed as a whole where CompressionStream exists:
+//   'DVSN' magic, uint32 format version, uint32 meta length, meta JSON (UTF-8),
+//   zero padding to an 8-byte boundary, Float64 times (count), Uint16 slices (count x rows),
+//   then Int16 row levels (count x rows) when meta.levelStep is set
+// Slice amplitudes are 0..1 and quantized to 16 bits, far finer than the surface can show.
+// Levels are the dB values the slices were mapped from, in steps of meta.levelStep dB; they let
+// a reopened capture be re-mapped when the amplitude settings change.
+export const sessionFileExtension = '.dvsession';
+const sessionMagic = 'DVSN';
+const sessionVersion = 1;
+const quantizationSteps = 65535;
+const levelStep = 0.01;
+
+// `slices` and `levels` are lists of per-column amplitude and dB arrays, levels null when
+// unknown; meta gains `count` and `rows`
+export async function encodeSession(meta, slices, times, levels = null) {
+  const count = slices.length;
+  const rows = count ? slices[0].length : 0;
+  const metaBytes = new TextEncoder().encode(JSON.stringify({
+    ...meta, count, rows, ...(levels ? { levelStep } : {}),
+  }));
+  const dataOffset = Math.ceil((12 + metaBytes.length) / 8) * 8;
+  const levelsOffset = dataOffset + count * 8 + count * rows * 2;
+  const buffer = new ArrayBuffer(levelsOffset + (levels ? count * rows * 2 : 0));
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  for (let i = 0; i < 4; i++) bytes[i] = sessionMagic.charCodeAt(i);
+  view.setUint32(4, sessionVersion, true);
+  view.setUint32(8, metaBytes.length, true);
+  bytes.set(metaBytes, 12);
+
+  new Float64Array(buffer, dataOffset, count).set(times);
+  const quantized = new Uint16Array(buffer, dataOffset + count * 8, count * rows);
+  for (let i = 0; i < count; i++) {
+    const slice = slices[i];
+    for (let j = 0; j < rows; j++) {
+      quantized[i * rows + j] = Math.round(Math.max(0, Math.min(1, slice[j])) * quantizationSteps);
+    }
+  }
+  if (levels) {
+    const steps = new Int16Array(buffer, levelsOffset, count * rows);
+    for (let i = 0; i < count; i++) {
+      for (let j = 0; j < rows; j++) {
+        const step = Math.round(levels[i][j] / levelStep);
+        steps[i * rows + j] = Math.max(-32768, Math.min(32767, step));
+      }
+    }
+  }
+
+  const blob = new Blob([buffer], { type: 'application/octet-stream' });
+  if (typeof CompressionStream === 'undefined') return blob;
+  return new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+}
+
+// Returns { meta, slices, levels, times, count, rows } with the slices and levels packed row
+// after row in Float32Arrays, levels null when the file has none. Accepts compressed and
+// uncompressed files.
+export async function decodeSession(blob) {
+  let buffer = await blob.arrayBuffer();
+  let bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress session files');
+    }
+    buffer = await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).arrayBuffer();
+    bytes = new Uint8Array(buffer);
+  }
+  if (buffer.byteLength < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== sessionMagic) {
+    throw new Error('Not a session file');
+  }
+  const view = new DataView(buffer);
+  const version = view.getUint32(4, true);
+  if (version > sessionVersion) throw new Error(`Session format ${version} is newer than this viewer`);
+  const metaLength = view.getUint32(8, true);
+  const meta = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + metaLength)));
+
+  const { count, rows } = meta;
+  const dataOffset = Math.ceil((12 + metaLength) / 8) * 8;
+  if (!(count >= 0 && rows > 0) || buffer.byteLength < dataOffset + count * 8 + count * rows * 2) {
+    throw new Error('Session file is truncated');
+  }
+  const times = new Float64Array(buffer.slice(dataOffset, dataOffset + count * 8));
+  const quantized = new Uint16Array(buffer, dataOffset + count * 8, count * rows);
+  const slices = new Float32Array(count * rows);
+  for (let i = 0; i < slices.length; i++) slices[i] = quantized[i] / quantizationSteps;
+
+  let levels = null;
+  const levelsOffset = dataOffset + count * 8 + count * rows * 2;
+  if (meta.levelStep > 0 && buffer.byteLength >= levelsOffset + count * rows * 2) {
+    // The Uint16 slices end on an even offset, so the Int16 view lines up
+    const steps = new Int16Array(buffer, levelsOffset, count * rows);
+    levels = new Float32Array(count * rows);
+    for (let i = 0; i < levels.length; i++) levels[i] = steps[i] * meta.levelStep;
+  }
+  return { meta, slices, levels, times, count, rows };
+}
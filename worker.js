@@ -0,0 +1,81 @@
+// -------- Pipeline worker --------
+// Runs offline analysis, finished-surface attributes, export meshing, data file reading and
+// writing, and comparison alignment off the main thread so the page keeps rendering while they
+// work. Loaded as a module worker by script.js, which also imports runPipelineJob() directly to
+// run jobs inline where workers are unavailable.
+import { computeOfflineSlices, combineOfflineChannels } from './analysis.js';
+import {
+  buildSolid, solidTransferables, surfaceAttributes, buildOBJ, buildSTL, build3MF,
+} from './meshing.js';
+import {
+  buildCSV, buildNPY, buildHeightmapPNG, parseDataFile, resampleRows,
+} from './dataformats.js';
+import { bestOffset } from './compare.js';
+
+const jobs = {
+  // { channels, sampleRate, options, layout } -> packed slices, levels and timestamps. Stereo
+  // layouts analyse two channels and interleave them by `layout` (see combineChannelSlice())
+  analyse({ channels, sampleRate, options, layout }) {
+    const results = channels.map((samples) => computeOfflineSlices(samples, sampleRate, options));
+    const result = layout ? combineOfflineChannels(results, options.mapping.rows, layout) : results[0];
+    return { result, transfer: [result.slices.buffer, result.levels.buffer, result.times.buffer] };
+  },
+  // { slices, count, rows, yScale, coloring } -> heights and vertex colors of the plane grid
+  surface({ slices, count, rows, yScale, coloring }) {
+    const result = surfaceAttributes(slices, count, rows, yScale, coloring);
+    return { result, transfer: [result.heights.buffer, result.colors.buffer] };
+  },
+  // buildSolid() options -> indexed solid
+  solid(options) {
+    const result = buildSolid(options);
+    return { result, transfer: solidTransferables(result) };
+  },
+  // { format, solid } -> file contents as Blobs
+  async write({ format, solid }, onProgress) {
+    if (format === 'stl') return { result: { blob: buildSTL(solid) } };
+    if (format === '3mf') return { result: { blob: await build3MF(solid, { onProgress }) } };
+    const { objBlob, mtlText } = await buildOBJ(solid, { onProgress });
+    return { result: { blob: objBlob, mtlText } };
+  },
+  // { format, slices, count, rows, times, frequencies } -> raw data file as a Blob
+  async data({ format, ...data }, onProgress) {
+    if (format === 'npy') return { result: { blob: buildNPY(data) } };
+    if (format === 'png') return { result: { blob: await buildHeightmapPNG(data, { onProgress }) } };
+    return { result: { blob: await buildCSV(data, { onProgress }) } };
+  },
+  // { buffer, minRows, maxRows } -> packed amplitude grid read from a PNG, CSV or NPY file,
+  // resampled when its row count is outside the supported range
+  async import({ buffer, minRows, maxRows }) {
+    let grid = await parseDataFile(buffer);
+    if (grid.rows < minRows || grid.rows > maxRows) {
+      grid = resampleRows(grid, Math.min(maxRows, Math.max(minRows, grid.rows)));
+    }
+    const transfer = [grid.slices.buffer];
+    if (grid.times) transfer.push(grid.times.buffer);
+    return { result: grid, transfer };
+  },
+  // { reference, other } grids with times -> { offset, score } lining the other up in time
+  align({ reference, other }) {
+    return { result: bestOffset(reference, other) };
+  },
+};
+
+export async function runPipelineJob(type, payload, onProgress) {
+  const job = jobs[type];
+  if (!job) throw new Error(`Unknown pipeline job: ${type}`);
+  return job(payload, onProgress);
+}
+
+// Message protocol: { id, type, payload } in; { id, progress } while working, then
+// { id, result } or { id, error } out
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.addEventListener('message', async ({ data: { id, type, payload } }) => {
+    try {
+      const onProgress = (fraction) => self.postMessage({ id, progress: fraction });
+      const { result, transfer = [] } = await runPipelineJob(type, payload, onProgress);
+      self.postMessage({ id, result }, transfer);
+    } catch (err) {
+      self.postMessage({ id, error: err && err.message ? err.message : String(err) });
+    }
+  });
+}